@@ -1,6 +1,7 @@
 import express from "express";
 import logger from "morgan";
 import cors from "cors";
+import cookieParser from "cookie-parser";
 import swaggerUi from "swagger-ui-express";
 import swaggerJsDoc from "swagger-jsdoc";
 import dotenv from "dotenv";
@@ -12,10 +13,16 @@ import invitationRouter from "./routes/invitationRouter.js";
 
 // Route file import and use
 import authRouter from "./routes/authRouter.js";
+import oauthRouter from "./routes/oauthRouter.js";
 import usersRouter from "./routes/usersRouter.js";
 import cardsRouter from "./routes/cardsRouter.js";
+import checklistsRouter from "./routes/checklistsRouter.js";
+import commentsRouter from "./routes/commentsRouter.js";
 import columnsRouter from "./routes/columnsRouter.js";
 import boardsRouter from "./routes/boardsRouter.js";
+import workspacesRouter from "./routes/workspacesRouter.js";
+import publicRouter from "./routes/publicRouter.js";
+import adminRouter from "./routes/adminRouter.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -25,6 +32,9 @@ dotenv.config();
 // Create an instance of the Express application
 const app = express();
 
+// Number of proxies in front of the app (e.g. 1 on Render), so req.ip is the client's address
+app.set("trust proxy", Number(process.env.TRUST_PROXY) || false);
+
 // Swagger configuration
 const swaggerOptions = {
   swaggerDefinition: {
@@ -58,15 +68,22 @@ app.use(cors()); // For enabling CORS
 // app.use(cors(corsOptions));
 
 app.use(express.json()); // For parsing JSON request bodies
+app.use(cookieParser()); // For the OAuth state cookie
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs)); // Swagger docs
 
 app.use("/api/auth", authRouter);
+app.use("/api/auth", oauthRouter); // After authRouter, its /:provider routes match any path
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 app.use("/api/user", usersRouter);
 app.use("/api/boards", boardsRouter);
 app.use("/api/boards/:boardId/columns", columnsRouter); // Nested columns routes
 app.use("/api/boards/:boardId/columns/:columnId/cards", cardsRouter); // Nested cards routes under columns
+app.use("/api/boards/:boardId/columns/:columnId/cards/:cardId/checklists", checklistsRouter); // Checklists of a card
+app.use("/api/boards/:boardId/columns/:columnId/cards/:cardId/comments", commentsRouter); // Comments on a card
 app.use("/api/invitations", invitationRouter);
+app.use("/api/workspaces", workspacesRouter);
+app.use("/api/public", publicRouter); // No authentication, read-only
+app.use("/api/admin", adminRouter); // Site administrators only
 
 // 404 handler
 app.use(notFoundHandler);
@@ -0,0 +1,18 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// "block" - unverified users cannot sign in
+// "limit" - unverified users can sign in but cannot use invitations
+// "off"   - verification emails are sent but nothing is restricted
+export const VERIFICATION_POLICIES = ["block", "limit", "off"];
+
+const policy = process.env.EMAIL_VERIFICATION_POLICY || "block";
+
+if (!VERIFICATION_POLICIES.includes(policy)) {
+  throw new Error(
+    `EMAIL_VERIFICATION_POLICY must be one of ${VERIFICATION_POLICIES.join(", ")}`
+  );
+}
+
+export default policy;
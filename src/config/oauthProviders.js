@@ -0,0 +1,192 @@
+import axios from "axios";
+import dotenv from "dotenv";
+import queryString from "query-string";
+
+dotenv.config();
+
+const { BACKEND_URL, OIDC_NAME = "oidc" } = process.env;
+
+// Every endpoint can be overridden through the environment, e.g. to point
+// the app at a local mock identity provider in tests.
+//
+// A provider defines:
+//   clientId, clientSecret, redirectUri, scope, authParams
+//   getEndpoints() -> { authorizationUrl, tokenUrl, userInfoUrl }
+//   getProfile(accessToken, endpoints) -> { subject, email, emailVerified, name, avatarURL }
+
+const bearer = (accessToken) => ({ Authorization: `Bearer ${accessToken}` });
+
+const google = {
+  clientId: process.env.GOOGLE_CLIENT_ID,
+  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+  // Legacy path, already registered in the Google console
+  redirectUri:
+    process.env.GOOGLE_REDIRECT_URI || `${BACKEND_URL}/api/auth/google-redirect`,
+  scope: [
+    "https://www.googleapis.com/auth/userinfo.email",
+    "https://www.googleapis.com/auth/userinfo.profile",
+  ].join(" "),
+  authParams: { access_type: "offline", prompt: "consent" },
+  getEndpoints: async () => ({
+    authorizationUrl:
+      process.env.GOOGLE_AUTHORIZATION_URL ||
+      "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenUrl: process.env.GOOGLE_TOKEN_URL || "https://oauth2.googleapis.com/token",
+    userInfoUrl:
+      process.env.GOOGLE_USERINFO_URL ||
+      "https://www.googleapis.com/oauth2/v1/userinfo?alt=json",
+  }),
+  getProfile: async (accessToken, { userInfoUrl }) => {
+    const { data } = await axios.get(userInfoUrl, { headers: bearer(accessToken) });
+
+    return {
+      subject: String(data.id),
+      email: data.email,
+      emailVerified: Boolean(data.verified_email),
+      name: data.name,
+      avatarURL: data.picture,
+    };
+  },
+};
+
+const github = {
+  clientId: process.env.GITHUB_CLIENT_ID,
+  clientSecret: process.env.GITHUB_CLIENT_SECRET,
+  redirectUri:
+    process.env.GITHUB_REDIRECT_URI || `${BACKEND_URL}/api/auth/github/callback`,
+  scope: "read:user user:email",
+  authParams: {},
+  getEndpoints: async () => ({
+    authorizationUrl:
+      process.env.GITHUB_AUTHORIZATION_URL ||
+      "https://github.com/login/oauth/authorize",
+    tokenUrl:
+      process.env.GITHUB_TOKEN_URL || "https://github.com/login/oauth/access_token",
+    userInfoUrl: process.env.GITHUB_USERINFO_URL || "https://api.github.com/user",
+  }),
+  getProfile: async (accessToken, { userInfoUrl }) => {
+    const headers = bearer(accessToken);
+    const { data } = await axios.get(userInfoUrl, { headers });
+
+    // The public profile email is optional and unverified, so ask for the primary one
+    const { data: emails } = await axios.get(
+      process.env.GITHUB_EMAILS_URL || `${userInfoUrl}/emails`,
+      { headers }
+    );
+    const primary = emails.find((item) => item.primary) || {};
+
+    return {
+      subject: String(data.id),
+      email: primary.email || data.email,
+      emailVerified: Boolean(primary.verified),
+      name: data.name || data.login,
+      avatarURL: data.avatar_url,
+    };
+  },
+};
+
+// Explicit endpoints win, otherwise they are discovered from the issuer once
+let oidcEndpoints = null;
+
+const oidc = {
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri:
+    process.env.OIDC_REDIRECT_URI || `${BACKEND_URL}/api/auth/${OIDC_NAME}/callback`,
+  scope: process.env.OIDC_SCOPE || "openid email profile",
+  authParams: {},
+  getEndpoints: async () => {
+    if (oidcEndpoints) {
+      return oidcEndpoints;
+    }
+
+    const {
+      OIDC_ISSUER,
+      OIDC_AUTHORIZATION_URL,
+      OIDC_TOKEN_URL,
+      OIDC_USERINFO_URL,
+    } = process.env;
+
+    let discovered = {};
+    if (!OIDC_AUTHORIZATION_URL || !OIDC_TOKEN_URL || !OIDC_USERINFO_URL) {
+      const { data } = await axios.get(
+        `${OIDC_ISSUER.replace(/\/$/, "")}/.well-known/openid-configuration`
+      );
+      discovered = data;
+    }
+
+    oidcEndpoints = {
+      authorizationUrl: OIDC_AUTHORIZATION_URL || discovered.authorization_endpoint,
+      tokenUrl: OIDC_TOKEN_URL || discovered.token_endpoint,
+      userInfoUrl: OIDC_USERINFO_URL || discovered.userinfo_endpoint,
+    };
+
+    return oidcEndpoints;
+  },
+  getProfile: async (accessToken, { userInfoUrl }) => {
+    const { data } = await axios.get(userInfoUrl, { headers: bearer(accessToken) });
+
+    return {
+      subject: String(data.sub),
+      email: data.email,
+      emailVerified: data.email_verified === true || data.email_verified === "true",
+      name: data.name || data.preferred_username,
+      avatarURL: data.picture,
+    };
+  },
+};
+
+// Providers without a client id are disabled
+const providers = Object.fromEntries(
+  Object.entries({ google, github, [OIDC_NAME]: oidc })
+    .filter(([, provider]) => provider.clientId)
+    .map(([name, provider]) => [name, { ...provider, name }])
+);
+
+export const getProvider = (name) =>
+  Object.hasOwn(providers, name) ? providers[name] : null;
+
+export const listProviders = () => Object.keys(providers);
+
+export const buildAuthorizationUrl = async (provider, state) => {
+  const { authorizationUrl } = await provider.getEndpoints();
+
+  const params = queryString.stringify({
+    ...provider.authParams,
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    response_type: "code",
+    state,
+  });
+
+  return `${authorizationUrl}?${params}`;
+};
+
+// Trade the authorization code for an access token and read the user's profile
+export const fetchProfile = async (provider, code) => {
+  const endpoints = await provider.getEndpoints();
+
+  const { data } = await axios.post(
+    endpoints.tokenUrl,
+    queryString.stringify({
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      redirect_uri: provider.redirectUri,
+      grant_type: "authorization_code",
+      code,
+    }),
+    {
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Accept: "application/json",
+      },
+    }
+  );
+
+  if (!data.access_token) {
+    throw new Error(`No access token received from ${provider.name}`);
+  }
+
+  return provider.getProfile(data.access_token, endpoints);
+};
@@ -0,0 +1,22 @@
+import dotenv from "dotenv";
+import { createMemoryStore, createMongoStore } from "../utils/rateLimitStores.js";
+
+dotenv.config();
+
+// "memory" (default) keeps counters per process, "mongo" shares them between instances
+const STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+const storeName = process.env.RATE_LIMIT_STORE || "memory";
+
+if (!STORES[storeName]) {
+  throw new Error(
+    `RATE_LIMIT_STORE must be one of ${Object.keys(STORES).join(", ")}`
+  );
+}
+
+const rateLimitStore = STORES[storeName]();
+
+export default rateLimitStore;
@@ -1,24 +1,164 @@
-import Invitation from "../models/InvitationModel.js";
+import mongoose from "mongoose";
+import Invitation, {
+  createInvitationSchema,
+  invitationQuerySchema,
+} from "../models/InvitationModel.js";
 import Board from "../models/boardModel.js";
+import User from "../models/userModel.js";
+import {
+  DEFAULT_MEMBER_ROLE,
+  getBoardRole,
+  hasBoardPermission,
+} from "../utils/boardPermissions.js";
+import { resolveBoardRole } from "../services/workspaces.js";
+import { recordAuditEvent } from "../services/boardAudit.js";
+import {
+  activeInvitationFilter,
+  createInvitationToken,
+  expireStaleInvitations,
+  findInvitationByToken,
+  getInvitationExpiry,
+  isInvitationExpired,
+  sendInvitationEmail,
+} from "../services/invitations.js";
+
+const { isValidObjectId } = mongoose;
+
+// Încarcă invitația și boardul ei, verificând că utilizatorul poate gestiona membrii.
+// Trimite răspunsul de eroare și întoarce null dacă nu are acces.
+const loadManagedInvitation = async (req, res) => {
+  const { invitationId } = req.params;
+
+  const invitation = isValidObjectId(invitationId) && (await Invitation.findById(invitationId));
+  if (!invitation) {
+    res.status(404).json({ message: "Invitation not found" });
+    return null;
+  }
+
+  const board = await Board.findById(invitation.boardId);
+  const role = board && (await resolveBoardRole(board, req.user._id));
+  if (!hasBoardPermission(role, "members:manage")) {
+    // Cine nu poate gestiona boardul nu află nici că invitația există
+    res.status(404).json({ message: "Invitation not found" });
+    return null;
+  }
+
+  return { invitation, board };
+};
+
+// Încarcă o invitație adresată utilizatorului curent
+const loadOwnInvitation = async (req, res) => {
+  const { invitationId } = req.params;
+
+  const invitation = isValidObjectId(invitationId) && (await Invitation.findById(invitationId));
+  if (!invitation) {
+    res.status(404).json({ message: "Invitation not found" });
+    return null;
+  }
+
+  if (!invitation.userId || !invitation.userId.equals(req.user._id)) {
+    res.status(403).json({ message: "This invitation is not addressed to you" });
+    return null;
+  }
+
+  if (invitation.status === "pending" && isInvitationExpired(invitation)) {
+    invitation.status = "expired";
+    await invitation.save();
+  }
+
+  if (invitation.status !== "pending") {
+    res.status(409).json({ message: `Invitation is ${invitation.status}` });
+    return null;
+  }
+
+  return invitation;
+};
 
 // Creare invitație
 export const createInvitation = async (req, res) => {
-  const { boardId, userId } = req.body;
+  const { error } = createInvitationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
 
-  console.log(
-    "Creating invitation with boardId:",
-    boardId,
-    "and userId:",
-    userId
-  );
+  const { boardId, email, role = DEFAULT_MEMBER_ROLE } = req.body;
+  let { userId } = req.body;
 
   try {
+    const board = await Board.findById(boardId);
+    const inviterRole = board && (await resolveBoardRole(board, req.user._id));
+    if (!inviterRole) {
+      return res.status(404).json({ message: "Board not found" });
+    }
+
+    if (!hasBoardPermission(inviterRole, "members:manage")) {
+      return res
+        .status(403)
+        .json({ message: "Only board admins can invite collaborators" });
+    }
+
+    if (role === "admin" && inviterRole !== "owner") {
+      return res
+        .status(403)
+        .json({ message: "Only the owner can invite admins" });
+    }
+
+    // Invitațiile pe email pentru conturi existente merg direct la utilizator
+    if (email) {
+      const existingUser = await User.findOne({ email: email.toLowerCase() });
+      userId = existingUser?._id;
+    } else if (!(await User.exists({ _id: userId }))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (userId && getBoardRole(board, userId)) {
+      return res
+        .status(409)
+        .json({ message: "The user is already a member of this board" });
+    }
+
+    const duplicate = await Invitation.exists({
+      ...activeInvitationFilter(),
+      boardId,
+      ...(userId ? { userId } : { email: email.toLowerCase() }),
+    });
+    if (duplicate) {
+      return res
+        .status(409)
+        .json({ message: "There is already a pending invitation for this user" });
+    }
+
     const newInvitation = new Invitation({
       boardId,
       userId,
+      email: userId ? undefined : email,
+      invitedBy: req.user._id,
+      role,
+      expiresAt: getInvitationExpiry(),
     });
     await newInvitation.save();
-    res.status(201).json(newInvitation);
+
+    await recordAuditEvent({
+      boardId: board._id,
+      action: "invitation.created",
+      actor: req.user._id,
+      target: userId,
+      email: userId ? undefined : newInvitation.email,
+      details: { invitationId: newInvitation._id, role },
+    });
+
+    if (!userId) {
+      const token = createInvitationToken(newInvitation);
+      await newInvitation.save();
+      try {
+        await sendInvitationEmail(newInvitation, token, board, req.user);
+      } catch (err) {
+        console.error("Failed to send invitation email:", err);
+      }
+    }
+
+    const { tokenHash, ...invitationData } = newInvitation.toObject();
+    res.status(201).json(invitationData);
   } catch (error) {
     console.error("Failed to create invitation:", error);
     res.status(500).json({ message: "Failed to create invitation", error });
@@ -27,25 +167,37 @@ export const createInvitation = async (req, res) => {
 
 // Acceptare invitație
 export const acceptInvitation = async (req, res) => {
-  console.log(req.params);
-  const { invitationId } = req.params; // Modifică pentru a folosi req.params
-
   try {
-    const invitation = await Invitation.findById(invitationId);
-    if (!invitation) {
-      return res.status(404).json({ message: "Invitation not found" });
+    const invitation = await loadOwnInvitation(req, res);
+    if (!invitation) return;
+
+    const board = await Board.findById(invitation.boardId);
+    if (!board) {
+      return res.status(404).json({ message: "Board not found" });
     }
 
     invitation.status = "accepted";
     await invitation.save();
 
-    const board = await Board.findById(invitation.boardId);
-    if (!board.collaborators.includes(invitation.userId)) {
+    if (!getBoardRole(board, invitation.userId)) {
       board.collaborators.push(invitation.userId);
+      board.memberRoles = board.memberRoles.filter(
+        (entry) => !entry.userId.equals(invitation.userId)
+      );
+      board.memberRoles.push({
+        userId: invitation.userId,
+        role: invitation.role || DEFAULT_MEMBER_ROLE,
+      });
       await board.save();
     }
 
-    console.log(`Updated board: ${board}`);
+    await recordAuditEvent({
+      boardId: board._id,
+      action: "invitation.accepted",
+      actor: req.user._id,
+      target: req.user._id,
+      details: { invitationId: invitation._id, role: invitation.role || DEFAULT_MEMBER_ROLE },
+    });
 
     res.status(200).json({ message: "Invitation accepted" });
   } catch (error) {
@@ -55,24 +207,20 @@ export const acceptInvitation = async (req, res) => {
 
 // Respingere invitație
 export const declineInvitation = async (req, res) => {
-  const { invitationId } = req.params; // Modifică pentru a folosi req.params
-
   try {
-    const invitation = await Invitation.findById(invitationId);
-    if (!invitation)
-      return res.status(404).json({ message: "Invitation not found" });
+    const invitation = await loadOwnInvitation(req, res);
+    if (!invitation) return;
 
     invitation.status = "declined";
     await invitation.save();
 
-    // Elimina colaboratorul din board
-    const board = await Board.findById(invitation.boardId);
-    if (board) {
-      board.collaborators = board.collaborators.filter(
-        (collaboratorId) => !collaboratorId.equals(invitation.userId)
-      );
-      await board.save();
-    }
+    await recordAuditEvent({
+      boardId: invitation.boardId,
+      action: "invitation.declined",
+      actor: req.user._id,
+      target: req.user._id,
+      details: { invitationId: invitation._id },
+    });
 
     res.status(200).json({ message: "Invitation declined" });
   } catch (error) {
@@ -80,16 +228,161 @@ export const declineInvitation = async (req, res) => {
   }
 };
 
+// Anulare invitație de către un admin al boardului
+export const revokeInvitation = async (req, res) => {
+  try {
+    const loaded = await loadManagedInvitation(req, res);
+    if (!loaded) return;
+
+    const { invitation } = loaded;
+    if (invitation.status !== "pending") {
+      return res
+        .status(409)
+        .json({ message: `Invitation is already ${invitation.status}` });
+    }
+
+    invitation.status = "revoked";
+    await invitation.save();
+
+    await recordAuditEvent({
+      boardId: invitation.boardId,
+      action: "invitation.revoked",
+      actor: req.user._id,
+      target: invitation.userId,
+      email: invitation.email,
+      details: { invitationId: invitation._id },
+    });
+
+    res.status(200).json({ message: "Invitation revoked" });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to revoke invitation", error });
+  }
+};
+
+// Retrimitere invitație: perioada de valabilitate începe din nou
+export const resendInvitation = async (req, res) => {
+  try {
+    const loaded = await loadManagedInvitation(req, res);
+    if (!loaded) return;
+
+    const { invitation, board } = loaded;
+    if (!["pending", "expired"].includes(invitation.status)) {
+      return res
+        .status(409)
+        .json({ message: `Invitation is already ${invitation.status}` });
+    }
+
+    // Între timp invitatul ar fi putut deveni membru pe altă cale
+    if (invitation.userId && getBoardRole(board, invitation.userId)) {
+      return res
+        .status(409)
+        .json({ message: "The user is already a member of this board" });
+    }
+
+    invitation.status = "pending";
+    invitation.expiresAt = getInvitationExpiry();
+
+    if (!invitation.userId) {
+      // Un token nou, cel vechi nu mai funcționează. Se salvează doar dacă
+      // emailul a plecat, altfel invitația rămâne neschimbată.
+      const token = createInvitationToken(invitation);
+      const inviter = (await User.findById(invitation.invitedBy)) || req.user;
+      try {
+        await sendInvitationEmail(invitation, token, board, inviter);
+      } catch (err) {
+        console.error("Failed to send invitation email:", err);
+        return res
+          .status(502)
+          .json({ message: "Failed to send the invitation email, please try again" });
+      }
+    }
+
+    await invitation.save();
+
+    await recordAuditEvent({
+      boardId: invitation.boardId,
+      action: "invitation.resent",
+      actor: req.user._id,
+      target: invitation.userId,
+      email: invitation.email,
+      details: { invitationId: invitation._id },
+    });
+
+    const { tokenHash, ...invitationData } = invitation.toObject();
+    res.status(200).json(invitationData);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to resend invitation", error });
+  }
+};
+
+// Detaliile unei invitații pe email, pentru pagina de înregistrare
+export const getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" });
+    }
+
+    const board = await Board.findById(invitation.boardId).populate("owner", "name");
+    if (!board) {
+      return res.status(404).json({ message: "Invitation not found" });
+    }
+
+    const inviter = await User.findById(invitation.invitedBy, "name");
+
+    res.status(200).json({
+      email: invitation.email,
+      boardTitle: board.titleBoard,
+      invitedBy: inviter?.name || board.owner?.name,
+      role: invitation.role,
+      createdAt: invitation.createdAt,
+      expiresAt: invitation.expiresAt,
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch invitation", error });
+  }
+};
+
 // Obținerea invitațiilor pentru un utilizator
 export const getUserInvitations = async (req, res) => {
   try {
     const invitations = await Invitation.find({
+      ...activeInvitationFilter(),
       userId: req.user._id,
-      status: "pending",
-    }).populate("boardId"); // Include toate detaliile boardului
+    })
+      .populate("boardId") // Include toate detaliile boardului
+      .populate("invitedBy", "name email avatarURL");
 
     res.status(200).json(invitations); // Trimite direct invitațiile fără modificări
   } catch (error) {
     res.status(500).json({ message: "Failed to fetch invitations", error });
   }
 };
+
+// Invitațiile unui board, pentru adminii lui (după authorizeBoard)
+export const getBoardInvitations = async (req, res) => {
+  const { error, value } = invitationQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+
+  try {
+    const { boardId } = req.params;
+    const filter = { boardId };
+    if (value.status) {
+      filter.status = value.status;
+    }
+
+    await expireStaleInvitations({ boardId });
+
+    const invitations = await Invitation.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("userId", "name email avatarURL")
+      .populate("invitedBy", "name email avatarURL")
+      .select("-tokenHash");
+
+    res.status(200).json(invitations);
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch invitations", error });
+  }
+};
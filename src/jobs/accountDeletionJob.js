@@ -0,0 +1,14 @@
+import { processScheduledDeletions } from "../services/accountDeletion.js";
+
+const INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+// Periodically delete accounts whose grace period has ended
+export const startAccountDeletionJob = () => {
+  const run = () =>
+    processScheduledDeletions().catch((error) =>
+      console.error("Account deletion job failed:", error)
+    );
+
+  run();
+  return setInterval(run, INTERVAL_MS);
+};
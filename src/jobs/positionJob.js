@@ -0,0 +1,15 @@
+import { rebalanceAllPositions } from "../services/positions.js";
+
+const INTERVAL_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+// Periodically spread out card and column positions that grew too long after
+// many moves, and give documents stored before positions existed one
+export const startPositionJob = () => {
+  const run = () =>
+    rebalanceAllPositions().catch((error) =>
+      console.error("Position job failed:", error)
+    );
+
+  run();
+  return setInterval(run, INTERVAL_MS);
+};
@@ -1,14 +1,46 @@
 import jwt from "jsonwebtoken";
-import dotenv from "dotenv";
 import createError from "../utils/error.js";
 import User from "../models/userModel.js";
 import Session from "../models/sessionModel.js";
+import AccessToken, { ACCESS_TOKEN_PREFIX } from "../models/accessTokenModel.js";
+import { verifyAccessToken } from "../utils/authTokens.js";
+import { hashToken } from "../utils/tokens.js";
 
-// Load environment variables from .env file
-dotenv.config();
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
 
-// Get the secret key for JWT from environment variables
-const SECRET_KEY = process.env.SECRET_KEY;
+const isStale = (lastUsedAt) =>
+  !lastUsedAt || Date.now() - lastUsedAt > LAST_SEEN_INTERVAL_MS;
+
+// Personal access tokens are looked up by hash instead of being verified as JWTs
+const authenticateAccessToken = async (token, req, next) => {
+  const accessToken = await AccessToken.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!accessToken) {
+    return next(createError(401, "Invalid token"));
+  }
+
+  const user = await User.findById(accessToken.user);
+
+  if (!user) {
+    return next(createError(401, "Unauthorized: Invalid user ID"));
+  }
+
+  if (user.disabled?.at) {
+    return next(createError(403, "This account has been disabled"));
+  }
+
+  if (isStale(accessToken.lastUsedAt)) {
+    accessToken.lastUsedAt = new Date();
+    await accessToken.save();
+  }
+
+  req.user = user;
+  req.accessToken = accessToken;
+  next();
+};
 
 // Authentication middleware to protect routes
 const authMiddleware = async (req, res, next) => {
@@ -25,8 +57,12 @@ const authMiddleware = async (req, res, next) => {
   }
 
   try {
-    // Verify the token using the secret key
-    const { id, sid } = jwt.verify(token, SECRET_KEY);
+    if (token.startsWith(ACCESS_TOKEN_PREFIX)) {
+      return await authenticateAccessToken(token, req, next);
+    }
+
+    // Verify the token with the access token secret and audience
+    const { id, sid } = verifyAccessToken(token);
 
     const user = await User.findById(id);
 
@@ -34,12 +70,22 @@ const authMiddleware = async (req, res, next) => {
       return next(createError(401, "Unauthorized: Invalid user ID"));
     }
 
+    if (user.disabled?.at) {
+      return next(createError(403, "This account has been disabled"));
+    }
+
     const session = await Session.findById(sid);
 
-    if (!session) {
+    if (!session || !session.uid.equals(user._id)) {
       return next(createError(401, "Unauthorized: Invalid session ID"));
     }
 
+    // Record activity at most once a minute to avoid a write on every request
+    if (isStale(session.lastUsedAt)) {
+      session.lastUsedAt = new Date();
+      await session.save();
+    }
+
     // Attach the user and session data to the request object for use in the next middleware/route
     req.user = user;
     req.session = session;
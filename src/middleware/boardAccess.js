@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+import createError from "../utils/error.js";
+import Board from "../models/boardModel.js";
+import Column from "../models/columnModel.js";
+import Card from "../models/cardModel.js";
+import { hasBoardPermission } from "../utils/boardPermissions.js";
+import { resolveBoardRole } from "../services/workspaces.js";
+
+const { isValidObjectId } = mongoose;
+
+// Load the board from :boardId and check that the user's role allows the action.
+// Members of the board's workspace count when the board is workspace-visible.
+// :columnId and :cardId, when present, must belong to that board.
+// Sets req.board, req.boardRole and, if requested, req.column and req.card.
+// Must run after authMiddleware.
+const authorizeBoard = (action) => async (req, res, next) => {
+  try {
+    const { boardId, columnId, cardId } = req.params;
+
+    const board = isValidObjectId(boardId) && (await Board.findById(boardId));
+    if (!board) {
+      return next(createError(404, "Board not found"));
+    }
+
+    const role = await resolveBoardRole(board, req.user._id);
+    if (!role) {
+      return next(createError(403, "You don't have access to this board"));
+    }
+
+    if (!hasBoardPermission(role, action)) {
+      return next(createError(403, "Your role on this board doesn't allow this action"));
+    }
+
+    if (columnId) {
+      const column =
+        isValidObjectId(columnId) && (await Column.findOne({ _id: columnId, boardId }));
+      if (!column) {
+        return next(createError(404, "Column not found"));
+      }
+      req.column = column;
+    }
+
+    if (cardId) {
+      const filter = { _id: cardId, boardId };
+      if (columnId) {
+        filter.columnId = columnId;
+      }
+      const card = isValidObjectId(cardId) && (await Card.findOne(filter));
+      if (!card) {
+        return next(createError(404, "Card not found"));
+      }
+      req.card = card;
+    }
+
+    req.board = board;
+    req.boardRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default authorizeBoard;
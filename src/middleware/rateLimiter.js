@@ -0,0 +1,156 @@
+import createError from "../utils/error.js";
+import defaultStore from "../config/rateLimit.js";
+import { verifyMfaToken } from "../utils/authTokens.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Strikes are forgotten after a day without lockouts
+const STRIKE_TTL_MS = 24 * HOUR;
+
+const byIp = (req) => req.ip;
+const byEmail = (req) =>
+  typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : null;
+// Only for routes behind authMiddleware
+const byUser = (req) => req.user?._id.toString();
+// The account a second-factor code is for: the signed-in user, or the user of
+// the MFA token of a pending login. Invalid tokens only count against the IP.
+const byTwoFactorAccount = (req) => {
+  if (req.user) {
+    return byUser(req);
+  }
+
+  try {
+    return String(verifyMfaToken(req.body?.mfaToken).id);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Count one attempt for the key. Going over the limit locks the key, and each
+// further lockout (strike) doubles its length up to maxLockoutMs.
+// Returns the time until which the key is locked, or 0. The lockout only comes
+// from the record the store returns, which already counts this attempt.
+const consume = async (store, key, { max, windowMs, lockoutMs, maxLockoutMs }) => {
+  const { lockedUntil } = await store.consume(key, {
+    max,
+    windowMs,
+    lockoutMs,
+    maxLockoutMs,
+    retainMs: STRIKE_TTL_MS,
+  });
+
+  return lockedUntil > Date.now() ? lockedUntil : 0;
+};
+
+// Middleware factory: each limit derives a client key from the request (falsy
+// to skip) and allows `max` attempts per window. With countFailuresOnly,
+// successful responses give their attempt back. Locked clients get a 429
+// with Retry-After.
+export const createRateLimiter = ({
+  name,
+  limits,
+  windowMs,
+  lockoutMs,
+  maxLockoutMs = 24 * HOUR,
+  countFailuresOnly = false,
+  store = defaultStore,
+}) => async (req, res, next) => {
+  try {
+    const keys = limits
+      .map((limit) => ({ ...limit, id: limit.key(req) }))
+      .filter(({ id }) => id)
+      .map((limit) => ({ ...limit, id: `${name}:${limit.name}:${limit.id}` }));
+
+    let lockedUntil = 0;
+    for (const { id, max } of keys) {
+      const until = await consume(store, id, { max, windowMs, lockoutMs, maxLockoutMs });
+      lockedUntil = Math.max(lockedUntil, until);
+    }
+
+    if (lockedUntil) {
+      res.set("Retry-After", String(Math.ceil((lockedUntil - Date.now()) / 1000)));
+      return next(createError(429, "Too many attempts, please try again later"));
+    }
+
+    if (countFailuresOnly) {
+      res.on("finish", () => {
+        if (res.statusCode < 400) {
+          // Give back the attempts of a request that turned out to be successful
+          keys.forEach(({ id }) =>
+            store.refund(id).catch((error) =>
+              console.error("Error updating rate limit:", error)
+            )
+          );
+        }
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Failed logins per IP and per account
+export const loginLimiter = createRateLimiter({
+  name: "login",
+  limits: [
+    { name: "ip", key: byIp, max: 20 },
+    { name: "account", key: byEmail, max: 5 },
+  ],
+  windowMs: 15 * MINUTE,
+  lockoutMs: 5 * MINUTE,
+  countFailuresOnly: true,
+});
+
+// Failed second-factor codes per IP and per account
+export const twoFactorLimiter = createRateLimiter({
+  name: "2fa",
+  limits: [
+    { name: "ip", key: byIp, max: 10 },
+    { name: "account", key: byTwoFactorAccount, max: 5 },
+  ],
+  windowMs: 15 * MINUTE,
+  lockoutMs: 5 * MINUTE,
+  countFailuresOnly: true,
+});
+
+export const refreshTokenLimiter = createRateLimiter({
+  name: "refresh",
+  limits: [{ name: "ip", key: byIp, max: 60 }],
+  windowMs: 15 * MINUTE,
+  lockoutMs: 5 * MINUTE,
+});
+
+// Endpoints that send email or accept reset tokens
+export const passwordLimiter = createRateLimiter({
+  name: "password",
+  limits: [
+    { name: "ip", key: byIp, max: 10 },
+    { name: "account", key: byEmail, max: 3 },
+  ],
+  windowMs: 15 * MINUTE,
+  lockoutMs: 15 * MINUTE,
+});
+
+// Member directory searches, which can confirm that an email address has an account
+export const directoryLimiter = createRateLimiter({
+  name: "directory",
+  limits: [
+    { name: "ip", key: byIp, max: 300 },
+    { name: "user", key: byUser, max: 120 },
+  ],
+  windowMs: 15 * MINUTE,
+  lockoutMs: 5 * MINUTE,
+});
+
+export const helpRequestLimiter = createRateLimiter({
+  name: "help",
+  limits: [
+    { name: "ip", key: byIp, max: 5 },
+    { name: "account", key: byEmail, max: 3 },
+  ],
+  windowMs: HOUR,
+  lockoutMs: HOUR,
+});
@@ -0,0 +1,11 @@
+import createError from "../utils/error.js";
+
+// Site administrators only. Must run after authMiddleware.
+const requireAdmin = (req, res, next) => {
+  if (!req.user.isAdmin) {
+    return next(createError(403, "Administrator access required"));
+  }
+  next();
+};
+
+export default requireAdmin;
@@ -0,0 +1,14 @@
+import createError from "../utils/error.js";
+import verificationPolicy from "../config/emailVerification.js";
+
+// Under the "limit" policy unverified users may sign in, but routes guarded
+// by this middleware stay closed until the email address is confirmed.
+// Must run after authMiddleware.
+const requireVerifiedEmail = (req, res, next) => {
+  if (verificationPolicy === "limit" && !req.user.verified) {
+    return next(createError(403, "Please verify your email address first"));
+  }
+  next();
+};
+
+export default requireVerifiedEmail;
@@ -0,0 +1,20 @@
+import createError from "../utils/error.js";
+
+// Both middlewares must run after authMiddleware.
+
+// Personal access tokens only reach the routes their scopes allow.
+// Session tokens (the web app) have full access.
+export const requireScope = (scope) => (req, res, next) => {
+  if (req.accessToken && !req.accessToken.scopes.includes(scope)) {
+    return next(createError(403, `This token is missing the ${scope} scope`));
+  }
+  next();
+};
+
+// Account management stays out of reach of personal access tokens
+export const requireSession = (req, res, next) => {
+  if (!req.session) {
+    return next(createError(403, "This endpoint requires a signed-in session"));
+  }
+  next();
+};
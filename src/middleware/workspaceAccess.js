@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import createError from "../utils/error.js";
+import Workspace from "../models/workspaceModel.js";
+import { getWorkspaceRole, hasWorkspacePermission } from "../utils/workspacePermissions.js";
+
+const { isValidObjectId } = mongoose;
+
+// Load the workspace from :workspaceId and check that the user's role allows the action.
+// Sets req.workspace and req.workspaceRole. Must run after authMiddleware.
+const authorizeWorkspace = (action) => async (req, res, next) => {
+  try {
+    const { workspaceId } = req.params;
+
+    const workspace = isValidObjectId(workspaceId) && (await Workspace.findById(workspaceId));
+    const role = workspace && getWorkspaceRole(workspace, req.user._id);
+    if (!role) {
+      // Outsiders can't tell a workspace they don't belong to from a missing one
+      return next(createError(404, "Workspace not found"));
+    }
+
+    if (!hasWorkspacePermission(role, action)) {
+      return next(createError(403, "Your role in this workspace doesn't allow this action"));
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export default authorizeWorkspace;
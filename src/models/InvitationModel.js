@@ -1,4 +1,10 @@
 import mongoose from "mongoose";
+import Joi from "joi";
+import { emailRegexp } from "../utils/validators.js";
+import { MEMBER_ROLES } from "./boardModel.js";
+import { DEFAULT_MEMBER_ROLE } from "../utils/boardPermissions.js";
+
+export const INVITATION_STATUSES = ["pending", "accepted", "declined", "revoked", "expired"];
 
 const invitationSchema = new mongoose.Schema({
   boardId: {
@@ -6,22 +12,75 @@ const invitationSchema = new mongoose.Schema({
     ref: "Board",
     required: true,
   },
+  // Empty until someone with the invited email address has an account
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    index: true,
+  },
+  // Hash of the signed token sent in the invitation email
+  tokenHash: {
+    type: String,
+    index: true,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // Role the invitee gets on the board once they accept
+  role: {
+    type: String,
+    enum: MEMBER_ROLES,
+    default: DEFAULT_MEMBER_ROLE,
   },
   status: {
     type: String,
-    enum: ["pending", "accepted", "declined"],
+    enum: INVITATION_STATUSES,
     default: "pending",
   },
+  // Invitations created before expiry existed have none and never expire
+  expiresAt: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+export const createInvitationSchema = Joi.object({
+  boardId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required(),
+  userId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+  email: Joi.string().pattern(emailRegexp).messages({
+    "string.pattern.base": "Invalid email format",
+  }),
+  role: Joi.string()
+    .valid(...MEMBER_ROLES)
+    .messages({
+      "any.only": `Role must be one of ${MEMBER_ROLES.join(", ")}`,
+    }),
+})
+  .xor("userId", "email")
+  .messages({
+    "object.missing": "Provide either a userId or an email",
+    "object.xor": "Provide either a userId or an email, not both",
+  });
+
+export const invitationQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid(...INVITATION_STATUSES)
+    .messages({
+      "any.only": `Status must be one of ${INVITATION_STATUSES.join(", ")}`,
+    }),
+});
+
 const Invitation = mongoose.model("Invitation", invitationSchema);
 
 export default Invitation;
@@ -0,0 +1,84 @@
+import mongoose from "mongoose";
+import Joi from "joi";
+import { handleSaveError } from "../hooks/handleSaveErrors.js";
+
+// Constants
+export const ACCESS_TOKEN_PREFIX = "tpat_";
+export const ACCESS_TOKEN_SCOPES = [
+  "boards:read",
+  "boards:write",
+  "columns:read",
+  "columns:write",
+  "cards:read",
+  "cards:write",
+  "comments:write",
+  "workspaces:read",
+  "workspaces:write",
+];
+
+// Mongoose Schema
+const accessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    // Only the hash is stored, the token itself is shown once on creation
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the token, to help users recognise it
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: ACCESS_TOKEN_SCOPES }],
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: Date,
+  },
+  { versionKey: false, timestamps: true }
+);
+
+// TTL index - expired tokens are removed automatically
+accessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Middleware
+accessTokenSchema.post("save", handleSaveError);
+
+// Joi Validation Schemas
+export const createAccessTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(64).required().messages({
+    "string.empty": "Name must not be empty",
+    "any.required": "Name is a required field",
+  }),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...ACCESS_TOKEN_SCOPES))
+    .min(1)
+    .unique()
+    .required()
+    .messages({
+      "any.only": `Scopes must be in the list: ${ACCESS_TOKEN_SCOPES.join(", ")}`,
+      "array.min": "At least one scope is required",
+      "any.required": "Scopes is a required field",
+    }),
+  expiresInDays: Joi.number().integer().min(1).max(365).default(30),
+});
+
+// Mongoose Model
+const AccessToken = mongoose.model("AccessToken", accessTokenSchema);
+
+export default AccessToken;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import { handleSaveError } from "../hooks/handleSaveErrors.js";
+
+// One-time codes handed to the front-end after an OAuth redirect.
+// They are exchanged for tokens (or for linking an identity) within a minute.
+const authCodeSchema = new mongoose.Schema(
+  {
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["login", "link"],
+      required: true,
+    },
+    uid: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // Identity to attach to the user when purpose is "link"
+    subject: String,
+    email: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { versionKey: false }
+);
+
+// TTL index - unused codes are removed automatically
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+authCodeSchema.post("save", handleSaveError);
+
+const AuthCode = mongoose.model("AuthCode", authCodeSchema);
+
+export default AuthCode;
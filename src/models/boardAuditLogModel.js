@@ -0,0 +1,91 @@
+import mongoose from "mongoose";
+import Joi from "joi";
+
+// Membership events recorded for each board
+export const AUDIT_ACTIONS = [
+  "member.added",
+  "member.removed",
+  "member.left",
+  "member.roleChanged",
+  "invitation.created",
+  "invitation.accepted",
+  "invitation.declined",
+  "invitation.revoked",
+  "invitation.resent",
+  "ownership.transferRequested",
+  "ownership.transferCancelled",
+  "ownership.transferDeclined",
+  "ownership.transferred",
+  "board.deleted",
+];
+
+const IMMUTABLE_ERROR = "Audit log entries can't be changed";
+
+// Mongoose Schema
+const boardAuditLogSchema = new mongoose.Schema(
+  {
+    // Not a reference that gets cleaned up: entries outlive the board
+    board: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      immutable: true,
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+      immutable: true,
+    },
+    // Who did it; empty for changes made by the system
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      immutable: true,
+    },
+    // Who it happened to
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      immutable: true,
+    },
+    // Invitee address for invitations sent by email
+    email: {
+      type: String,
+      immutable: true,
+    },
+    // Action specific data, e.g. { role, previousRole }
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      immutable: true,
+    },
+  },
+  {
+    versionKey: false,
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+boardAuditLogSchema.index({ board: 1, createdAt: -1 });
+
+// Middleware
+boardAuditLogSchema.pre("save", function (next) {
+  next(this.isNew ? null : new Error(IMMUTABLE_ERROR));
+});
+boardAuditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  function (next) {
+    next(new Error(IMMUTABLE_ERROR));
+  }
+);
+
+// Joi Validation Schemas
+export const auditLogQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  action: Joi.string().valid(...AUDIT_ACTIONS),
+});
+
+// Mongoose Model
+const BoardAuditLog = mongoose.model("BoardAuditLog", boardAuditLogSchema);
+
+export default BoardAuditLog;
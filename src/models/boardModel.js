@@ -3,6 +3,7 @@ import { handleSaveError } from '../hooks/handleSaveErrors.js';
 import { setUpdateOptions } from '../hooks/setUpdateOptions.js';
 import Joi from 'joi';
 import { columnSchema } from './columnModel.js';
+import { BOARD_ROLES } from '../utils/boardPermissions.js';
 
 // Constants
 const BACKGROUND_NAMES = [
@@ -15,6 +16,13 @@ const ICON_NAMES = [
   "projectIcon", "puzzlePieceIcon", "starIcon"
 ];
 
+// Roles that can be given to collaborators; "owner" comes from the owner field
+export const MEMBER_ROLES = BOARD_ROLES.filter((role) => role !== 'owner');
+
+// "private" boards are open to their members only, "workspace" boards to every
+// member of the board's workspace as well
+export const BOARD_VISIBILITIES = ['private', 'workspace'];
+
 // Mongoose Schema
 const boardSchema = new mongoose.Schema(
   {
@@ -47,6 +55,55 @@ const boardSchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
+    // Roles of collaborators; collaborators without an entry get DEFAULT_MEMBER_ROLE
+    memberRoles: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: MEMBER_ROLES,
+          required: true,
+        },
+      },
+    ],
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+      index: true,
+    },
+    visibility: {
+      type: String,
+      enum: BOARD_VISIBILITIES,
+      default: 'private',
+    },
+    // Ownership handover waiting for the new owner to accept
+    pendingTransfer: {
+      to: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      requestedAt: Date,
+    },
+    // Public read-only link; only the hash of its token is stored
+    shareLink: {
+      tokenHash: {
+        type: String,
+        index: true,
+        select: false,
+      },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      createdAt: Date,
+      expiresAt: Date,
+    },
     columns: [columnSchema],
   },
   { 
@@ -67,6 +124,8 @@ export const addBoardSchema = Joi.object({
   collaborators: Joi.array().items(
     Joi.string().regex(/^[0-9a-fA-F]{24}$/)
   ),
+  workspace: Joi.string().regex(/^[0-9a-fA-F]{24}$/).allow(null),
+  visibility: Joi.string().valid(...BOARD_VISIBILITIES),
 });
 
 export const updateBoardSchema = Joi.object({
@@ -76,6 +135,26 @@ export const updateBoardSchema = Joi.object({
   collaborators: Joi.array().items(
     Joi.string().regex(/^[0-9a-fA-F]{24}$/)
   ),
+  workspace: Joi.string().regex(/^[0-9a-fA-F]{24}$/).allow(null),
+  visibility: Joi.string().valid(...BOARD_VISIBILITIES),
+});
+
+export const updateMemberRoleSchema = Joi.object({
+  role: Joi.string().valid(...MEMBER_ROLES).required().messages({
+    'any.only': `Role must be one of ${MEMBER_ROLES.join(', ')}`,
+    'any.required': 'Role is a required field',
+  }),
+});
+
+export const transferOwnershipSchema = Joi.object({
+  userId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).required().messages({
+    'string.pattern.base': 'Invalid user id',
+    'any.required': 'userId is a required field',
+  }),
+});
+
+export const shareLinkSchema = Joi.object({
+  expiresInDays: Joi.number().integer().min(1).max(365),
 });
 
 // Mongoose Model
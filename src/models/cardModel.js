@@ -7,6 +7,40 @@ import Joi from "joi";
 const PRIORITY_CARD = ["without", "low", "medium", "high"];
 
 // Mongoose Schema
+const checklistItemSchema = new mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: [true, "Set text for checklist item"],
+    },
+    done: {
+      type: Boolean,
+      default: false,
+    },
+    // A board member, like the card's assignees
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    dueDate: {
+      type: Date,
+    },
+  },
+  { versionKey: false }
+);
+
+// Items are kept in display order
+const checklistSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Set title for checklist"],
+    },
+    items: [checklistItemSchema],
+  },
+  { versionKey: false }
+);
+
 export const cardSchema = new mongoose.Schema(
   {
     titleCard: {
@@ -43,23 +77,19 @@ export const cardSchema = new mongoose.Schema(
       ref: "board",
       required: true,
     },
-    collaborators: [
+    // Fractional index of the card within its column, compared as a plain string
+    position: {
+      type: String,
+    },
+    // Board members the card is assigned to; names and avatars are populated on read
+    assignees: [
       {
-        userId: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-          required: true,
-        },
-        name: {
-          type: String,
-          required: true,
-        },
-        avatarURL: {
-          type: String,
-          required: true,
-        }
-      }
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
     ],
+    // In display order
+    checklists: [checklistSchema],
   },
   { versionKey: false, timestamps: true }
 );
@@ -69,6 +99,19 @@ cardSchema.post("save", handleSaveError);
 cardSchema.pre("findOneAndUpdate", setUpdateOptions);
 
 // Joi Validation Schemas
+const assigneesSchema = Joi.array()
+  .items(Joi.string().regex(/^[0-9a-fA-F]{24}$/).messages({
+    "string.pattern.base": "Assignee not valid",
+  }))
+  .unique();
+
+// Deprecated: cards used to store { userId, name, avatarURL } objects. Only userId is used now.
+const legacyCollaboratorsSchema = Joi.array().items(
+  Joi.object({
+    userId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).required(),
+  }).unknown()
+);
+
 export const cardAddSchema = Joi.object({
   titleCard: Joi.string().required(),
   description: Joi.string().allow(""),
@@ -78,13 +121,8 @@ export const cardAddSchema = Joi.object({
   columnId: Joi.string()
     .regex(/^[0-9a-fA-F]{24}$/)
     .required(),
-  collaborators: Joi.array().items(
-    Joi.object({
-      userId: Joi.string().required(),
-      name: Joi.string().required(),
-      avatarURL: Joi.string().required()
-    })
-  ).optional(),
+  assignees: assigneesSchema,
+  collaborators: legacyCollaboratorsSchema,
 }).messages({
   "string.pattern.base": `Column not valid`,
   "any.required": `Missing field {#label}`,
@@ -99,13 +137,8 @@ export const cardUpdateSchema = Joi.object({
   columnId: Joi.string()
     .regex(/^[0-9a-fA-F]{24}$/)
     .required(),
-  collaborators: Joi.array().items(
-    Joi.object({
-      userId: Joi.string().required(),
-      name: Joi.string().required(),
-      avatarURL: Joi.string().required()
-    })
-  ).optional(),
+  assignees: assigneesSchema,
+  collaborators: legacyCollaboratorsSchema,
 });
 
 export const cardPatchSchema = Joi.object({
@@ -117,6 +150,74 @@ export const cardPatchSchema = Joi.object({
   "any.required": `Missing field {#label}`,
 });
 
+export const cardMoveSchema = Joi.object({
+  newColumnId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+  beforeId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+  afterId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).invalid(Joi.ref("beforeId")),
+}).messages({
+  "string.pattern.base": `{#label} not valid`,
+  "any.invalid": `beforeId and afterId must be different cards`,
+});
+
+export const cardTransferSchema = Joi.object({
+  boardId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+  columnId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required(),
+  beforeId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+  afterId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).invalid(Joi.ref("beforeId")),
+}).messages({
+  "string.pattern.base": `{#label} not valid`,
+  "any.invalid": `beforeId and afterId must be different cards`,
+  "any.required": `Missing field {#label}`,
+});
+
+const checklistItemFields = {
+  text: Joi.string().trim().min(1).max(500),
+  done: Joi.boolean(),
+  assignee: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .allow(null)
+    .messages({ "string.pattern.base": "Assignee not valid" }),
+  dueDate: Joi.date().iso().allow(null),
+};
+
+export const checklistItemAddSchema = Joi.object({
+  ...checklistItemFields,
+  text: checklistItemFields.text.required(),
+}).messages({
+  "any.required": `Missing field {#label}`,
+});
+
+export const checklistItemUpdateSchema = Joi.object(checklistItemFields).min(1);
+
+export const checklistAddSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(150).required(),
+  items: Joi.array().items(checklistItemAddSchema).max(100),
+}).messages({
+  "any.required": `Missing field {#label}`,
+});
+
+export const checklistUpdateSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(150).required(),
+});
+
+// The complete new order of a card's checklists, or of a checklist's items
+const orderSchema = (field) =>
+  Joi.object({
+    [field]: Joi.array()
+      .items(Joi.string().regex(/^[0-9a-fA-F]{24}$/))
+      .unique()
+      .required(),
+  }).messages({
+    "string.pattern.base": `{#label} not valid`,
+    "array.unique": `Each id can only appear once`,
+    "any.required": `Missing field {#label}`,
+  });
+
+export const checklistOrderSchema = orderSchema("checklistIds");
+export const checklistItemOrderSchema = orderSchema("itemIds");
+
 // Mongoose Model
 const Card = mongoose.model("Card", cardSchema);
 
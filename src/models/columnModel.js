@@ -23,6 +23,10 @@ export const columnSchema = new mongoose.Schema(
       ref: 'user',
     },
     cards: [cardSchema],
+    // Fractional index of the column on its board, compared as a plain string
+    position: {
+      type: String,
+    },
   },
   {
     versionKey: false,
@@ -50,6 +54,25 @@ export const schemaUpdateColumn = Joi.object({
   titleColumn: Joi.string().min(1).max(150),
 });
 
+export const schemaMoveColumn = Joi.object({
+  beforeId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+  afterId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).invalid(Joi.ref('beforeId')),
+}).messages({
+  'string.pattern.base': `{#label} not valid`,
+  'any.invalid': `beforeId and afterId must be different columns`,
+});
+
+export const schemaColumnOrder = Joi.object({
+  columnIds: Joi.array()
+    .items(Joi.string().regex(/^[0-9a-fA-F]{24}$/))
+    .unique()
+    .required(),
+}).messages({
+  'string.pattern.base': `Column not valid`,
+  'array.unique': `Each column can only appear once`,
+  'any.required': `Missing field {#label}`,
+});
+
 // Mongoose Model
 const Column = mongoose.model("Column", columnSchema);
 
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+import Joi from "joi";
+import { handleSaveError } from "../hooks/handleSaveErrors.js";
+
+// Mongoose Schema
+const commentSchema = new mongoose.Schema(
+  {
+    cardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Card",
+      required: true,
+    },
+    boardId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "board",
+      required: true,
+      index: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required() {
+        return !this.authorDeleted;
+      },
+    },
+    // The author deleted their account; the comment stays, without an author
+    authorDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    text: {
+      type: String,
+      required: [true, "Set text for comment"],
+    },
+    // The top-level comment this one replies to; replies can't have replies
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // Board members mentioned as @name, resolved whenever the text is saved
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Set when the author changes the text
+    editedAt: {
+      type: Date,
+    },
+  },
+  { versionKey: false, timestamps: true }
+);
+
+commentSchema.index({ cardId: 1, createdAt: 1 });
+commentSchema.index({ mentions: 1 });
+
+// Middleware
+commentSchema.post("save", handleSaveError);
+
+// Joi Validation Schemas
+export const commentAddSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(5000).required(),
+  parentId: Joi.string().regex(/^[0-9a-fA-F]{24}$/),
+}).messages({
+  "string.pattern.base": `Parent comment not valid`,
+  "any.required": `Missing field {#label}`,
+});
+
+export const commentUpdateSchema = Joi.object({
+  text: Joi.string().trim().min(1).max(5000).required(),
+}).messages({
+  "any.required": `Missing field {#label}`,
+});
+
+// Mongoose Model
+const Comment = mongoose.model("Comment", commentSchema);
+
+export default Comment;
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Counters of the MongoDB rate limit store, shared by all app instances
+const rateLimitSchema = new mongoose.Schema(
+  {
+    _id: String, // "<limiter>:<limit>:<client key>"
+    count: {
+      type: Number,
+      default: 0,
+    },
+    windowStart: Number,
+    strikes: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { versionKey: false }
+);
+
+// TTL index - idle counters are removed automatically
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+export default RateLimit;
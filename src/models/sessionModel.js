@@ -9,6 +9,25 @@ const sessionSchema = new mongoose.Schema(
       required: true,
       ref: 'User',
     },
+    // Sessions that descend from the same login share a family id
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // Hash of the only refresh token that is currently valid for this session
+    refreshTokenHash: String,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Moves forward on every refresh; MongoDB removes the session once it passes
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
   },
   { 
     versionKey: false, // Disable the __v version key
@@ -16,6 +35,9 @@ const sessionSchema = new mongoose.Schema(
   }
 );
 
+// TTL index - expired sessions are cleaned up automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
 // Post-save hook to handle errors
 sessionSchema.post("save", handleSaveError);
 
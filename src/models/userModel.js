@@ -19,6 +19,7 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
       unique: true,
+      lowercase: true,
       match: [emailRegexp, "Please enter a valid email address"],
     },
     password: {
@@ -35,11 +36,85 @@ const userSchema = new mongoose.Schema(
       enum: THEME_LIST,
       default: "dark",
     },
-    googleId: String,
+    // Legacy Google account id, moved into identities on the next Google sign-in
+    googleId: {
+      type: String,
+      index: { unique: true, sparse: true },
+    },
+    // Accounts at external identity providers that can sign in as this user
+    identities: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: String,
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    passwordResetToken: String,
+    passwordResetExpires: Date,
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: String,
+      // Secret generated by /2fa/setup, promoted to secret once confirmed
+      pendingSecret: String,
+      // Hashes of the unused one-time recovery codes
+      recoveryCodes: [String],
+    },
+    // Set while an account deletion waits for its grace period to end
+    pendingDeletion: {
+      scheduledFor: Date,
+      transfers: [
+        {
+          _id: false,
+          boardId: mongoose.Schema.Types.ObjectId,
+          newOwnerId: mongoose.Schema.Types.ObjectId,
+        },
+      ],
+    },
+    // Site administrator, set directly in the database
+    isAdmin: {
+      type: Boolean,
+      default: false,
+    },
+    // Disabled accounts can't sign in or use existing tokens
+    disabled: {
+      at: Date,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reason: String,
+    },
   },
   { versionKey: false, timestamps: true }
 );
 
+// An external identity belongs to one user at most
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
 // Middleware
 userSchema.post("save", handleSaveError);
 userSchema.pre("findOneAndUpdate", setUpdateOptions);
@@ -68,6 +143,7 @@ export const signUpSchema = Joi.object({
     "string.min": "Password must be at least 8 characters long",
     "string.pattern.base": "Invalid password format",
   }),
+  invitationToken: Joi.string(),
 });
 
 export const signInSchema = Joi.object({
@@ -91,6 +167,71 @@ export const refreshTokenSchema = Joi.object({
   }),
 });
 
+export const resendVerificationSchema = Joi.object({
+  email: Joi.string().pattern(emailRegexp).required().messages({
+    "string.empty": "Email must not be empty",
+    "any.required": "Email is a required field",
+    "string.pattern.base": "Invalid email format",
+  }),
+});
+
+export const forgotPasswordSchema = Joi.object({
+  email: Joi.string().pattern(emailRegexp).required().messages({
+    "string.empty": "Email must not be empty",
+    "any.required": "Email is a required field",
+    "string.pattern.base": "Invalid email format",
+  }),
+});
+
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string().required().messages({
+    "string.empty": "Reset token must not be empty",
+    "any.required": "Reset token is a required field",
+  }),
+  password: Joi.string().pattern(passwordRegexp).min(8).required().messages({
+    "string.empty": "Password must not be empty",
+    "any.required": "Password is a required field",
+    "string.min": "Password must be at least 8 characters long",
+    "string.pattern.base": "Invalid password format",
+  }),
+});
+
+export const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().trim().required().messages({
+    "string.empty": "Code must not be empty",
+    "any.required": "Code is a required field",
+  }),
+});
+
+export const twoFactorLoginSchema = Joi.object({
+  mfaToken: Joi.string().required().messages({
+    "string.empty": "MFA token must not be empty",
+    "any.required": "MFA token is a required field",
+  }),
+  code: Joi.string().trim().required().messages({
+    "string.empty": "Code must not be empty",
+    "any.required": "Code is a required field",
+  }),
+});
+
+export const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required().messages({
+    "string.empty": "Password must not be empty",
+    "any.required": "Password is a required field",
+  }),
+  code: Joi.string().trim().required().messages({
+    "string.empty": "Code must not be empty",
+    "any.required": "Code is a required field",
+  }),
+});
+
+export const exchangeCodeSchema = Joi.object({
+  code: Joi.string().required().messages({
+    "string.empty": "Code must not be empty",
+    "any.required": "Code is a required field",
+  }),
+});
+
 // Users Router
 export const updateThemeSchema = Joi.object({
   theme: Joi.string().valid(...THEME_LIST).required().messages({
@@ -125,6 +266,50 @@ export const helpRequestSchema = Joi.object({
   }),
 });
 
+export const deleteAccountSchema = Joi.object({
+  password: Joi.string(),
+  code: Joi.string().trim(),
+  transfers: Joi.array()
+    .items(
+      Joi.object({
+        boardId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).required(),
+        newOwnerId: Joi.string().regex(/^[0-9a-fA-F]{24}$/).required(),
+      })
+    )
+    .default([]),
+}).messages({
+  "string.pattern.base": "Invalid ID format",
+});
+
+export const directorySearchSchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required().messages({
+    "string.empty": "Search text must not be empty",
+    "any.required": "Search text is required",
+  }),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+});
+
+export const directoryLookupSchema = Joi.object({
+  ids: Joi.array()
+    .items(Joi.string().regex(/^[0-9a-fA-F]{24}$/))
+    .max(100)
+    .required(),
+}).messages({
+  "string.pattern.base": "Invalid ID format",
+});
+
+// Admin Router
+export const adminUserSearchSchema = Joi.object({
+  q: Joi.string().trim().allow("").max(100),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  disabled: Joi.boolean(),
+});
+
+export const disableUserSchema = Joi.object({
+  reason: Joi.string().trim().max(500).allow(""),
+});
+
 // Tasks Router
 export const taskSchema = Joi.object({
   title: Joi.string().required().messages({
@@ -0,0 +1,122 @@
+import mongoose from "mongoose";
+import Joi from "joi";
+import { handleSaveError } from "../hooks/handleSaveErrors.js";
+import { setUpdateOptions } from "../hooks/setUpdateOptions.js";
+import { WORKSPACE_ROLES } from "../utils/workspacePermissions.js";
+
+// Roles that can be given to members; "owner" comes from the owner field
+export const WORKSPACE_MEMBER_ROLES = WORKSPACE_ROLES.filter((role) => role !== "owner");
+
+const objectIdPattern = /^[0-9a-fA-F]{24}$/;
+
+// Mongoose Schema
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name cannot be empty"],
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    members: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: WORKSPACE_MEMBER_ROLES,
+          default: "member",
+        },
+      },
+    ],
+    // Users asked to join, who become members once they accept
+    invitations: [
+      {
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: WORKSPACE_MEMBER_ROLES,
+          default: "member",
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        expiresAt: {
+          type: Date,
+        },
+      },
+    ],
+  },
+  {
+    versionKey: false,
+    timestamps: true,
+  }
+);
+
+workspaceSchema.index({ "members.userId": 1 });
+workspaceSchema.index({ "invitations.userId": 1 });
+
+// Middleware
+workspaceSchema.post("save", handleSaveError);
+workspaceSchema.pre("findOneAndUpdate", setUpdateOptions);
+workspaceSchema.post("findOneAndUpdate", handleSaveError);
+
+// Joi Validation Schemas
+export const createWorkspaceSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().allow("").max(500),
+});
+
+export const updateWorkspaceSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().allow("").max(500),
+})
+  .min(1)
+  .messages({
+    "object.min": "Provide a name or a description",
+  });
+
+export const inviteWorkspaceMemberSchema = Joi.object({
+  userId: Joi.string().regex(objectIdPattern).required().messages({
+    "string.pattern.base": "Invalid user id",
+  }),
+  role: Joi.string()
+    .valid(...WORKSPACE_MEMBER_ROLES)
+    .messages({
+      "any.only": `Role must be one of ${WORKSPACE_MEMBER_ROLES.join(", ")}`,
+    }),
+});
+
+export const updateWorkspaceMemberSchema = Joi.object({
+  role: Joi.string()
+    .valid(...WORKSPACE_MEMBER_ROLES)
+    .required()
+    .messages({
+      "any.only": `Role must be one of ${WORKSPACE_MEMBER_ROLES.join(", ")}`,
+      "any.required": "Role is a required field",
+    }),
+});
+
+// Mongoose Model
+const Workspace = mongoose.model("Workspace", workspaceSchema);
+
+export default Workspace;
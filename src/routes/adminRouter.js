@@ -0,0 +1,326 @@
+import express from "express";
+import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+import createError from "../utils/error.js";
+import ctrlWrapper from "../utils/ctrlWrapper.js";
+import authMiddleware from "../middleware/auth.js";
+import requireAdmin from "../middleware/requireAdmin.js";
+import { requireSession } from "../middleware/scopes.js";
+import User, { adminUserSearchSchema, disableUserSchema } from "../models/userModel.js";
+import Board from "../models/boardModel.js";
+import Card from "../models/cardModel.js";
+import Workspace from "../models/workspaceModel.js";
+import Session from "../models/sessionModel.js";
+import { escapeRegExp } from "../utils/validators.js";
+import { DEFAULT_MEMBER_ROLE } from "../utils/boardPermissions.js";
+import { generateToken } from "../utils/tokens.js";
+import { sendPasswordResetEmail } from "../utils/passwordReset.js";
+
+const adminRouter = express.Router();
+
+// Administrators use their own session, never a personal access token
+adminRouter.use(authMiddleware, requireSession, requireAdmin);
+
+const ADMIN_USER_FIELDS = "name email avatarURL verified isAdmin disabled createdAt";
+
+const formatAdminUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  avatarURL: user.avatarURL,
+  verified: user.verified,
+  isAdmin: user.isAdmin,
+  disabled: user.disabled?.at ? user.disabled : null,
+  twoFactorEnabled: user.twoFactor?.enabled,
+  createdAt: user.createdAt,
+});
+
+// Load the user from :userId for the routes below
+adminRouter.param("userId", async (req, res, next, userId) => {
+  try {
+    const user = mongoose.isValidObjectId(userId) && (await User.findById(userId));
+
+    if (!user) {
+      return next(createError(404, "User not found"));
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Site administration, for users with isAdmin
+ */
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Search users by name or email
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Part of the name or email
+ *       - in: query
+ *         name: disabled
+ *         schema:
+ *           type: boolean
+ *         required: false
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         required: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Between 1 and 100, defaults to 20
+ *     responses:
+ *       200:
+ *         description: Matching users, newest first, with the total count
+ *       403:
+ *         description: Administrator access required
+ */
+const searchUsers = async (req, res) => {
+  const { error, value } = adminUserSearchSchema.validate(req.query);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { q, page, limit, disabled } = value;
+  const filter = {};
+
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), "i");
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+  if (disabled !== undefined) {
+    filter["disabled.at"] = { $exists: disabled };
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter, ADMIN_USER_FIELDS + " twoFactor.enabled")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    User.countDocuments(filter),
+  ]);
+
+  res.json({
+    users: users.map(formatAdminUser),
+    total,
+    page,
+    limit,
+  });
+};
+
+adminRouter.get("/users", ctrlWrapper(searchUsers));
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/boards:
+ *   get:
+ *     summary: List the boards a user owns or collaborates on
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The user's boards with their role on each
+ *       404:
+ *         description: User not found
+ */
+const getUserBoards = async (req, res) => {
+  const userId = req.targetUser._id;
+
+  const boards = await Board.find(
+    { $or: [{ owner: userId }, { collaborators: userId }] },
+    "titleBoard owner collaborators memberRoles workspace visibility createdAt updatedAt"
+  ).populate("owner", "name email");
+
+  res.json(
+    boards.map((board) => {
+      const isOwner = board.owner._id.equals(userId);
+      const entry = board.memberRoles.find((item) => item.userId.equals(userId));
+
+      return {
+        id: board._id,
+        titleBoard: board.titleBoard,
+        owner: board.owner,
+        role: isOwner ? "owner" : entry?.role || DEFAULT_MEMBER_ROLE,
+        membersCount: board.collaborators.length + 1,
+        workspace: board.workspace,
+        visibility: board.visibility,
+        createdAt: board.createdAt,
+        updatedAt: board.updatedAt,
+      };
+    })
+  );
+};
+
+adminRouter.get("/users/:userId/boards", ctrlWrapper(getUserBoards));
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/disable:
+ *   post:
+ *     summary: Disable an account
+ *     description: The user is signed out everywhere, and their sessions and personal access tokens stop working until the account is enabled again.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account disabled
+ *       400:
+ *         description: Administrators can't disable their own account
+ *       404:
+ *         description: User not found
+ */
+const disableUser = async (req, res) => {
+  const { error } = disableUserSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const user = req.targetUser;
+
+  if (user._id.equals(req.user._id)) {
+    throw createError(400, "You can't disable your own account");
+  }
+
+  user.disabled = {
+    at: new Date(),
+    by: req.user._id,
+    reason: req.body.reason,
+  };
+  await user.save();
+
+  await Session.deleteMany({ uid: user._id });
+
+  res.json({ message: "Account disabled", user: formatAdminUser(user) });
+};
+
+adminRouter.post("/users/:userId/disable", ctrlWrapper(disableUser));
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/enable:
+ *   post:
+ *     summary: Enable a disabled account again
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Account enabled
+ *       404:
+ *         description: User not found
+ */
+const enableUser = async (req, res) => {
+  const user = req.targetUser;
+
+  user.disabled = undefined;
+  await user.save();
+
+  res.json({ message: "Account enabled", user: formatAdminUser(user) });
+};
+
+adminRouter.post("/users/:userId/enable", ctrlWrapper(enableUser));
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/password-reset:
+ *   post:
+ *     summary: Force a password reset
+ *     description: The current password stops working, the user is signed out everywhere and gets an email with a reset link.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Password reset and email sent
+ *       404:
+ *         description: User not found
+ */
+const forcePasswordReset = async (req, res) => {
+  const user = req.targetUser;
+
+  user.password = await bcrypt.hash(generateToken(), 12);
+  await Session.deleteMany({ uid: user._id });
+
+  // Saves the user together with the new password
+  await sendPasswordResetEmail(user, { forced: true });
+
+  res.json({ message: "Password reset, the user has been emailed a link to choose a new one" });
+};
+
+adminRouter.post("/users/:userId/password-reset", ctrlWrapper(forcePasswordReset));
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: Global counts of users, boards, cards and workspaces
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Counts
+ */
+const getStats = async (req, res) => {
+  const [users, verifiedUsers, disabledUsers, boards, cards, workspaces] = await Promise.all([
+    User.estimatedDocumentCount(),
+    User.countDocuments({ verified: true }),
+    User.countDocuments({ "disabled.at": { $exists: true } }),
+    Board.estimatedDocumentCount(),
+    Card.estimatedDocumentCount(),
+    Workspace.estimatedDocumentCount(),
+  ]);
+
+  res.json({
+    users: { total: users, verified: verifiedUsers, disabled: disabledUsers },
+    boards,
+    cards,
+    workspaces,
+  });
+};
+
+adminRouter.get("/stats", ctrlWrapper(getStats));
+
+export default adminRouter;
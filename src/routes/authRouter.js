@@ -1,29 +1,55 @@
 import express from "express";
+import mongoose from "mongoose";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
-import dotenv from "dotenv";
 import createError from "../utils/error.js";
 import User from "../models/userModel.js";
 import Session from "../models/sessionModel.js";
 import ctrlWrapper from "../utils/ctrlWrapper.js";
-import queryString from "query-string";
-import axios from "axios";
+import authMiddleware from "../middleware/auth.js";
+import { requireSession } from "../middleware/scopes.js";
+import {
+  loginLimiter,
+  twoFactorLimiter,
+  refreshTokenLimiter,
+  passwordLimiter,
+} from "../middleware/rateLimiter.js";
+import verificationPolicy from "../config/emailVerification.js";
+import {
+  readVerificationToken,
+  sendVerificationEmail,
+} from "../utils/emailVerification.js";
+import { sendPasswordResetEmail } from "../utils/passwordReset.js";
+import { hashToken } from "../utils/tokens.js";
+import userResponse from "../utils/userResponse.js";
+import {
+  attachPendingInvitations,
+  findInvitationByToken,
+} from "../services/invitations.js";
+import {
+  createSession,
+  endSession,
+  rotateRefreshToken,
+  signMfaToken,
+  verifyMfaToken,
+} from "../utils/authTokens.js";
+import {
+  generateTwoFactorSecret,
+  checkTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} from "../utils/twoFactor.js";
 import {
   signUpSchema,
   signInSchema,
   refreshTokenSchema,
+  resendVerificationSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  twoFactorCodeSchema,
+  twoFactorLoginSchema,
+  twoFactorDisableSchema,
 } from "../models/userModel.js";
 
-dotenv.config();
-
-const {
-  SECRET_KEY,
-  GOOGLE_CLIENT_ID,
-  BACKEND_URL,
-  GOOGLE_CLIENT_SECRET,
-  FRONT_URL,
-} = process.env;
-
 const authRouter = express.Router();
 
 /**
@@ -52,6 +78,9 @@ const authRouter = express.Router();
  *         theme:
  *           type: string
  *           description: The user's theme
+ *         verified:
+ *           type: boolean
+ *           description: Whether the user confirmed their email address
  *       example:
  *         name: John Doe
  *         email: john.doe@example.com
@@ -72,6 +101,7 @@ const authRouter = express.Router();
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: An optional invitationToken from an email invitation confirms the address when it matches the invited email
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -81,7 +111,7 @@ const authRouter = express.Router();
  *             $ref: '#/components/schemas/User'
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully. Tokens are only returned when the verification policy allows unverified sign-ins
  *       400:
  *         description: Bad request
  *       409:
@@ -94,7 +124,8 @@ const signUp = async (req, res, next) => {
     throw createError(400, error.details[0].message);
   }
 
-  const { name, email, password } = req.body;
+  const { name, password, invitationToken } = req.body;
+  const email = req.body.email.toLowerCase();
 
   const user = await User.findOne({ email });
 
@@ -102,35 +133,46 @@ const signUp = async (req, res, next) => {
     throw createError(409, "Provided email already exists");
   }
 
+  // The invitation link was delivered to this inbox, so the address is confirmed
+  const invitation = invitationToken && (await findInvitationByToken(invitationToken));
+  const verified = Boolean(invitation) && invitation.email === email;
+
   const hashedPassword = await bcrypt.hash(password, 12);
 
   const newUser = await User.create({
-    ...req.body,
+    name,
+    email,
     password: hashedPassword,
+    verified,
   });
 
-  const newSession = await Session.create({
-    uid: newUser._id,
-  });
+  if (verified) {
+    await attachPendingInvitations(newUser);
+  } else {
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (err) {
+      // The user can ask for a new link through /resend-verification
+      console.error("Error sending verification email:", err);
+    }
+  }
 
-  const payload = {
-    id: newUser._id,
-    sid: newSession._id,
-  };
+  const userData = userResponse(newUser);
 
-  const token = jwt.sign(payload, SECRET_KEY, { expiresIn: "20h" });
-  const refreshToken = jwt.sign(payload, SECRET_KEY, { expiresIn: "7d" });
+  if (verificationPolicy === "block" && !verified) {
+    return res.status(201).json({
+      message: "Registration successful. Please check your email to verify your account",
+      user: userData,
+    });
+  }
+
+  const { token, refreshToken } = await createSession(newUser, req);
 
   res.status(201).json({
     message: "Successful operation",
     token,
     refreshToken,
-    user: {
-      name: newUser.name,
-      email: newUser.email,
-      theme: newUser.theme,
-      avatarURL: newUser.avatarURL,
-    },
+    user: userData,
   });
 };
 
@@ -156,11 +198,13 @@ authRouter.post("/register", ctrlWrapper(signUp));
  *                 description: The user's password
  *     responses:
  *       200:
- *         description: Successful operation
+ *         description: Successful operation. When 2FA is enabled the response holds mfaRequired and an mfaToken instead of session tokens
  *       400:
  *         description: Bad request
  *       403:
- *         description: Invalid email or password
+ *         description: Invalid email or password, or email not verified
+ *       429:
+ *         description: Too many attempts, retry after the number of seconds in the Retry-After header
  */
 const signIn = async (req, res, next) => {
   const { error } = signInSchema.validate(req.body);
@@ -169,8 +213,8 @@ const signIn = async (req, res, next) => {
     throw createError(400, error.details[0].message);
   }
 
-  const { email, password } = req.body;
-  const user = await User.findOne({ email });
+  const { password } = req.body;
+  const user = await User.findOne({ email: req.body.email.toLowerCase() });
 
   if (!user) {
     throw createError(403, "Invalid email or password");
@@ -182,32 +226,510 @@ const signIn = async (req, res, next) => {
     throw createError(403, "Invalid email or password");
   }
 
-  const newSession = await Session.create({
-    uid: user._id,
+  if (verificationPolicy === "block" && !user.verified) {
+    throw createError(403, "Please verify your email address before signing in");
+  }
+
+  if (user.disabled?.at) {
+    throw createError(403, "This account has been disabled");
+  }
+
+  await attachPendingInvitations(user);
+
+  if (user.twoFactor.enabled) {
+    return res.json({
+      message: "Two-factor authentication required",
+      mfaRequired: true,
+      mfaToken: signMfaToken(user),
+    });
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    message: "Successful operation",
+    token,
+    refreshToken,
+    user: userResponse(user),
   });
+};
 
-  const payload = {
-    id: user._id,
-    sid: newSession._id,
-  };
+authRouter.post("/login", loginLimiter, ctrlWrapper(signIn));
 
-  const token = jwt.sign(payload, SECRET_KEY, { expiresIn: "20h" });
-  const refreshToken = jwt.sign(payload, SECRET_KEY, { expiresIn: "7d" });
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a TOTP or recovery code
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *                 description: The token returned by /api/auth/login
+ *               code:
+ *                 type: string
+ *                 description: A code from the authenticator app or an unused recovery code
+ *     responses:
+ *       200:
+ *         description: Successful operation
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Invalid or expired MFA token, or invalid code
+ *       429:
+ *         description: Too many attempts, retry after the number of seconds in the Retry-After header
+ */
+const signInTwoFactor = async (req, res) => {
+  const { error } = twoFactorLoginSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { mfaToken, code } = req.body;
+
+  let payload;
+  try {
+    payload = verifyMfaToken(mfaToken);
+  } catch (err) {
+    throw createError(403, "Invalid or expired MFA token");
+  }
+
+  const user = await User.findById(payload.id);
+
+  if (!user || !user.twoFactor.enabled) {
+    throw createError(403, "Invalid or expired MFA token");
+  }
+
+  if (!(await verifySecondFactor(user, code))) {
+    throw createError(403, "Invalid two-factor code");
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
 
   res.json({
     message: "Successful operation",
     token,
     refreshToken,
-    user: {
-      name: user.name,
-      email: user.email,
-      theme: user.theme,
-      avatarURL: user.avatarURL,
-    },
+    user: userResponse(user),
+  });
+};
+
+authRouter.post("/login/2fa", twoFactorLimiter, ctrlWrapper(signInTwoFactor));
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: A new TOTP secret and its otpauth URI for the QR code. 2FA stays off until confirmed
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+const setupTwoFactor = async (req, res) => {
+  const user = req.user;
+
+  if (user.twoFactor.enabled) {
+    throw createError(409, "Two-factor authentication is already enabled");
+  }
+
+  const { secret, otpauthUrl } = generateTwoFactorSecret(user);
+
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  res.status(200).json({ secret, otpauthUrl });
+};
+
+authRouter.post(
+  "/2fa/setup",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(setupTwoFactor)
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment with a code from the authenticator app
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA enabled. The recovery codes are returned only once
+ *       400:
+ *         description: Invalid code or no enrollment in progress
+ */
+const confirmTwoFactor = async (req, res) => {
+  const { error } = twoFactorCodeSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const user = req.user;
+  const { pendingSecret } = user.twoFactor;
+
+  if (!pendingSecret) {
+    throw createError(400, "Two-factor setup has not been started");
+  }
+
+  if (!checkTotp(req.body.code, pendingSecret)) {
+    throw createError(400, "Invalid two-factor code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+
+  res.status(200).json({
+    message: "Two-factor authentication enabled",
+    recoveryCodes: codes,
   });
 };
 
-authRouter.post("/login", ctrlWrapper(signIn));
+authRouter.post(
+  "/2fa/confirm",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(confirmTwoFactor)
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes. The old ones stop working
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  const { error } = twoFactorCodeSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const user = req.user;
+
+  if (!user.twoFactor.enabled) {
+    throw createError(400, "Two-factor authentication is not enabled");
+  }
+
+  if (!checkTotp(req.body.code, user.twoFactor.secret)) {
+    throw createError(400, "Invalid two-factor code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+
+  res.status(200).json({ recoveryCodes: codes });
+};
+
+authRouter.post(
+  "/2fa/recovery-codes",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(regenerateRecoveryCodes)
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: A TOTP code or an unused recovery code
+ *     responses:
+ *       200:
+ *         description: 2FA disabled
+ *       400:
+ *         description: 2FA not enabled
+ *       403:
+ *         description: Invalid password or code
+ */
+const disableTwoFactor = async (req, res) => {
+  const { error } = twoFactorDisableSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const user = req.user;
+
+  if (!user.twoFactor.enabled) {
+    throw createError(400, "Two-factor authentication is not enabled");
+  }
+
+  const matchPassword = await bcrypt.compare(req.body.password, user.password);
+
+  if (!matchPassword || !(await verifySecondFactor(user, req.body.code))) {
+    throw createError(403, "Invalid password or two-factor code");
+  }
+
+  user.twoFactor = { enabled: false, recoveryCodes: [] };
+  await user.save();
+
+  res.status(200).json({ message: "Two-factor authentication disabled" });
+};
+
+authRouter.post(
+  "/2fa/disable",
+  authMiddleware,
+  requireSession,
+  twoFactorLimiter,
+  ctrlWrapper(disableTwoFactor)
+);
+
+/**
+ * @swagger
+ * /api/auth/verify/{token}:
+ *   get:
+ *     summary: Confirm a user's email address
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The verification token sent by email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+const verifyEmail = async (req, res) => {
+  const payload = readVerificationToken(req.params.token);
+
+  if (!payload) {
+    throw createError(400, "Invalid or expired verification token");
+  }
+
+  const user = await User.findById(payload.id);
+
+  if (!user || user.email !== payload.email) {
+    throw createError(400, "Invalid or expired verification token");
+  }
+
+  if (!user.verified) {
+    user.verified = true;
+    await user.save();
+  }
+
+  await attachPendingInvitations(user);
+
+  res.status(200).json({ message: "Email verified successfully" });
+};
+
+authRouter.get("/verify/:token", ctrlWrapper(verifyEmail));
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: The user's email
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is not verified yet
+ *       400:
+ *         description: Bad request
+ *       429:
+ *         description: Too many attempts, retry after the number of seconds in the Retry-After header
+ */
+const resendVerification = async (req, res) => {
+  const { error } = resendVerificationSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+  // Same answer either way so the endpoint can't be used to probe for accounts
+  if (user && !user.verified) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error("Error sending verification email:", err);
+    }
+  }
+
+  res.status(200).json({
+    message: "If the account exists and is not verified, a verification email has been sent",
+  });
+};
+
+authRouter.post(
+  "/resend-verification",
+  passwordLimiter,
+  ctrlWrapper(resendVerification)
+);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 description: The user's email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Bad request
+ *       429:
+ *         description: Too many attempts, retry after the number of seconds in the Retry-After header
+ */
+const forgotPassword = async (req, res) => {
+  const { error } = forgotPasswordSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+  // Same answer either way so the endpoint can't be used to probe for accounts
+  if (user) {
+    try {
+      await sendPasswordResetEmail(user);
+    } catch (err) {
+      console.error("Error sending password reset email:", err);
+    }
+  }
+
+  res.status(200).json({
+    message: "If an account with this email exists, a password reset link has been sent",
+  });
+};
+
+authRouter.post(
+  "/forgot-password",
+  passwordLimiter,
+  ctrlWrapper(forgotPassword)
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The reset token sent by email
+ *               password:
+ *                 type: string
+ *                 description: The new password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully, all sessions were signed out
+ *       400:
+ *         description: Invalid or expired reset token
+ *       429:
+ *         description: Too many attempts, retry after the number of seconds in the Retry-After header
+ */
+const resetPassword = async (req, res) => {
+  const { error } = resetPasswordSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { token, password } = req.body;
+
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    throw createError(400, "Invalid or expired reset token");
+  }
+
+  user.password = await bcrypt.hash(password, 12);
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  // The reset link was delivered to the inbox, so the address is confirmed
+  user.verified = true;
+  await user.save();
+
+  await Session.deleteMany({ uid: user._id });
+
+  res.status(200).json({ message: "Password reset successfully" });
+};
+
+authRouter.post("/reset-password", passwordLimiter, ctrlWrapper(resetPassword));
 
 /**
  * @swagger
@@ -226,9 +748,11 @@ authRouter.post("/login", ctrlWrapper(signIn));
  *                 description: The refresh token
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Token refreshed successfully. The submitted refresh token can't be used again
  *       403:
- *         description: Invalid refresh token
+ *         description: Invalid refresh token. Reusing a rotated token signs out the whole session family
+ *       429:
+ *         description: Too many attempts, retry after the number of seconds in the Retry-After header
  */
 const refreshToken = async (req, res) => {
   const { error } = refreshTokenSchema.validate(req.body);
@@ -239,38 +763,30 @@ const refreshToken = async (req, res) => {
 
   const { refreshToken: requestToken } = req.body;
 
-  try {
-    const { id, sid } = jwt.verify(requestToken, SECRET_KEY);
-
-    const user = await User.findById(id);
-    if (!user) {
-      throw createError(403, "Invalid refresh token");
-    }
-
-    const session = await Session.findById(sid);
-    if (!session) {
-      throw createError(403, "Invalid refresh token");
-    }
-
-    const payload = {
-      id,
-      sid,
-    };
-
-    const token = jwt.sign(payload, SECRET_KEY, { expiresIn: "20h" });
-    const newRefreshToken = jwt.sign(payload, SECRET_KEY, { expiresIn: "7d" });
+  const {
+    session,
+    token,
+    refreshToken: newRefreshToken,
+  } = await rotateRefreshToken(requestToken);
 
-    res.status(200).json({
-      message: "Token refreshed successfully",
-      token,
-      refreshToken: newRefreshToken,
-    });
-  } catch (error) {
+  const user = await User.findById(session.uid);
+  if (!user || user.disabled?.at) {
+    await Session.findByIdAndDelete(session._id);
     throw createError(403, "Invalid refresh token");
   }
+
+  res.status(200).json({
+    message: "Token refreshed successfully",
+    token,
+    refreshToken: newRefreshToken,
+  });
 };
 
-authRouter.post("/refresh-token", ctrlWrapper(refreshToken));
+authRouter.post(
+  "/refresh-token",
+  refreshTokenLimiter,
+  ctrlWrapper(refreshToken)
+);
 
 /**
  * @swagger
@@ -291,7 +807,7 @@ authRouter.post("/refresh-token", ctrlWrapper(refreshToken));
  *       200:
  *         description: Logout successful
  *       403:
- *         description: Invalid refresh token
+ *         description: Invalid refresh token. An already rotated token also ends every session of its family
  */
 const logOut = async (req, res) => {
   const { refreshToken: requestToken } = req.body;
@@ -300,143 +816,120 @@ const logOut = async (req, res) => {
     throw createError(403, "Refresh token is required");
   }
 
-  try {
-    const { sid } = jwt.verify(requestToken, SECRET_KEY);
-
-    const session = await Session.findById(sid);
-    if (!session) {
-      throw createError(403, "Invalid refresh token");
-    }
-
-    await Session.findByIdAndDelete(sid);
+  await endSession(requestToken);
 
-    res.status(200).json({ message: "Logout successful" });
-  } catch (error) {
-    throw createError(403, "Invalid refresh token");
-  }
+  res.status(200).json({ message: "Logout successful" });
 };
 
 authRouter.post("/logout", ctrlWrapper(logOut));
 
 /**
  * @swagger
- * /api/auth/google:
+ * /api/auth/sessions:
  *   get:
- *     summary: Redirect to Google authentication
+ *     summary: List the active sessions of the authenticated user
  *     tags: [Auth]
  *     responses:
- *       302:
- *         description: Redirects to Google authentication
+ *       200:
+ *         description: Sessions with device, IP, creation and last use time. The session making the request is flagged as current
+ *       401:
+ *         description: Unauthorized
  */
-const googleAuth = (req, res) => {
-  const stringifiedParams = queryString.stringify({
-    client_id: GOOGLE_CLIENT_ID,
-    redirect_uri: `${BACKEND_URL}/api/auth/google-redirect`,
-    scope: [
-      "https://www.googleapis.com/auth/userinfo.email",
-      "https://www.googleapis.com/auth/userinfo.profile",
-    ].join(" "),
-    response_type: "code",
-    access_type: "offline",
-    prompt: "consent",
+const getSessions = async (req, res) => {
+  const sessions = await Session.find({ uid: req.user._id }).sort({
+    lastUsedAt: -1,
   });
 
-  return res.redirect(
-    `https://accounts.google.com/o/oauth2/v2/auth?${stringifiedParams}`
-  );
+  res.status(200).json({
+    sessions: sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: session._id.equals(req.session._id),
+    })),
+  });
 };
 
-authRouter.get("/google", ctrlWrapper(googleAuth));
+authRouter.get(
+  "/sessions",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(getSessions)
+);
 
 /**
  * @swagger
- * /api/auth/google-redirect:
- *   get:
- *     summary: Handle Google authentication redirect
+ * /api/auth/sessions/{sid}:
+ *   delete:
+ *     summary: Sign out one of the user's sessions
  *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: sid
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the session to revoke
  *     responses:
- *       302:
- *         description: Redirects to front-end with tokens and session info
- *       500:
- *         description: Internal server error
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
  */
-const googleRedirect = async (req, res) => {
-  try {
-    console.log("Full URL:", req.originalUrl);
-
-    const fullUrl = `${req.protocol}://${req.get("host")}${req.originalUrl}`;
-    const urlParams = queryString.parse(fullUrl.split("?")[1]);
-
-    const code = urlParams.code;
-    console.log("Authorization code:", code);
-
-    const tokenResponse = await axios({
-      method: "post",
-      url: `https://oauth2.googleapis.com/token`,
-      data: queryString.stringify({
-        client_id: GOOGLE_CLIENT_ID,
-        client_secret: GOOGLE_CLIENT_SECRET,
-        redirect_uri: `${BACKEND_URL}/api/auth/google-redirect`,
-        grant_type: "authorization_code",
-        code,
-      }),
-      headers: {
-        "Content-Type": "application/x-www-form-urlencoded",
-      },
-    });
+const deleteSession = async (req, res) => {
+  const { sid } = req.params;
 
-    const { access_token, id_token } = tokenResponse.data;
-    console.log("Tokens received:", { access_token, id_token });
+  if (!mongoose.isValidObjectId(sid)) {
+    throw createError(404, "Session not found");
+  }
 
-    const userInfoResponse = await axios({
-      method: "get",
-      url: `https://www.googleapis.com/oauth2/v1/userinfo?alt=json&access_token=${access_token}`,
-      headers: {
-        Authorization: `Bearer ${id_token}`,
-      },
-    });
+  const session = await Session.findOneAndDelete({
+    _id: sid,
+    uid: req.user._id,
+  });
 
-    const { email, name, picture } = userInfoResponse.data;
-    console.log("User info:", { email, name, picture });
-
-    let user = await User.findOne({ email });
-
-    if (!user) {
-      user = await User.create({
-        email,
-        name,
-        avatarURL: picture,
-        password: await bcrypt.hash(Math.random().toString(36).slice(-8), 12),
-      });
-      console.log("New user created:", user);
-    } else {
-      console.log("Existing user found:", user);
-    }
+  if (!session) {
+    throw createError(404, "Session not found");
+  }
 
-    const newSession = await Session.create({
-      uid: user._id,
-    });
+  res.status(200).json({ message: "Session revoked" });
+};
 
-    const payload = {
-      id: user._id,
-      sid: newSession._id,
-    };
+authRouter.delete(
+  "/sessions/:sid",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(deleteSession)
+);
 
-    const token = jwt.sign(payload, SECRET_KEY, { expiresIn: "20h" });
-    const refreshToken = jwt.sign(payload, SECRET_KEY, { expiresIn: "7d" });
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Sign out every session of the authenticated user, including the current one
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+const logOutAll = async (req, res) => {
+  const { deletedCount } = await Session.deleteMany({ uid: req.user._id });
 
-    // Redirect to front-end with tokens and session info
-    res.redirect(
-      `${FRONT_URL}#/auth/callback?token=${token}&refreshToken=${refreshToken}&sid=${newSession._id}`
-    );
-    // # - se adauga doar pentru github pages ca sa functioneze HashRouter.
-    console.log("Redirect to front-end with tokens");
-  } catch (error) {
-    console.error("Error during Google authentication:", error);
-    res.status(500).send("Internal Server Error");
-  }
+  res.status(200).json({
+    message: "Logged out from all sessions",
+    revoked: deletedCount,
+  });
 };
 
-authRouter.get("/google-redirect", ctrlWrapper(googleRedirect));
+authRouter.post(
+  "/logout-all",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(logOutAll)
+);
 
 export default authRouter;
@@ -1,12 +1,63 @@
 import express from "express";
+import mongoose from "mongoose";
 import Board from "../models/boardModel.js";
-import { addBoardSchema, updateBoardSchema } from "../models/boardModel.js";
+import {
+  addBoardSchema,
+  updateBoardSchema,
+  updateMemberRoleSchema,
+  transferOwnershipSchema,
+  shareLinkSchema,
+} from "../models/boardModel.js";
 import authMiddleware from "../middleware/auth.js";
-import Column from "../models/columnModel.js";
-import Card from "../models/cardModel.js";
+import { requireScope, requireSession } from "../middleware/scopes.js";
+import authorizeBoard from "../middleware/boardAccess.js";
+import createError from "../utils/error.js";
+import ctrlWrapper from "../utils/ctrlWrapper.js";
+import { getBoardRole } from "../utils/boardPermissions.js";
+import { deleteBoardWithContent } from "../services/boardCleanup.js";
+import { removeMemberFromBoard, transferBoardOwnership } from "../services/boardMembers.js";
+import { getBoardInvitations } from "../controllers/invitationController.js";
+import { buildBoardData } from "../services/boardData.js";
+import { unassignUsers } from "../services/cardAssignees.js";
+import { recordAuditEvent, recordAuditEvents } from "../services/boardAudit.js";
+import BoardAuditLog, { auditLogQuerySchema } from "../models/boardAuditLogModel.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import Workspace from "../models/workspaceModel.js";
+import {
+  findUserWorkspaces,
+  unassignFormerWorkspaceUsers,
+  visibleBoardsFilter,
+} from "../services/workspaces.js";
+import { getWorkspaceRole, hasWorkspacePermission } from "../utils/workspacePermissions.js";
 
 const boardsRouter = express.Router();
 
+// Check that a board can live in the workspace with this visibility, and that the
+// user may add boards to the workspace. Returns { status, message } or null.
+const checkBoardWorkspace = async (userId, workspaceId, visibility, { requireMember = true } = {}) => {
+  if (!workspaceId) {
+    return visibility === "workspace"
+      ? { status: 400, message: "Only boards in a workspace can be visible to the workspace" }
+      : null;
+  }
+
+  if (!requireMember) {
+    return null;
+  }
+
+  const workspace = await Workspace.findById(workspaceId);
+  const role = workspace && getWorkspaceRole(workspace, userId);
+  if (!role) {
+    return { status: 404, message: "Workspace not found" };
+  }
+
+  if (!hasWorkspacePermission(role, "boards:create")) {
+    return { status: 403, message: "You can't add boards to this workspace" };
+  }
+
+  return null;
+};
+
 /**
  * @swagger
  * tags:
@@ -19,7 +70,15 @@ const boardsRouter = express.Router();
  * /api/boards:
  *   get:
  *     summary: Get all boards for the authenticated user
+ *     description: Includes the workspace-visible boards of the user's workspaces
  *     tags: [Boards]
+ *     parameters:
+ *       - in: query
+ *         name: workspace
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only boards of this workspace, or "none" for boards outside any workspace
  *     responses:
  *       200:
  *         description: List of user boards
@@ -29,13 +88,23 @@ const boardsRouter = express.Router();
 const getUserBoards = async (req, res) => {
   try {
     const userId = req.user.id;
-    // Căutăm boardurile unde utilizatorul este fie owner, fie colaborator
-    const boards = await Board.find({
-      $or: [
-        { owner: userId }, // boarduri deținute
-        { collaborators: userId }, // boarduri la care este colaborator
-      ],
-    }).populate("collaborators");
+    const workspaces = await findUserWorkspaces(userId);
+
+    // Căutăm boardurile unde utilizatorul este owner, colaborator sau membru al workspace-ului
+    const filter = visibleBoardsFilter(
+      userId,
+      workspaces.map(({ _id }) => _id)
+    );
+    if (req.query.workspace === "none") {
+      filter.workspace = null;
+    } else if (req.query.workspace) {
+      if (!mongoose.isValidObjectId(req.query.workspace)) {
+        return res.status(400).json({ error: "Invalid workspace id" });
+      }
+      filter.workspace = req.query.workspace;
+    }
+
+    const boards = await Board.find(filter).populate("collaborators", "name avatarURL");
 
     res.json(boards);
   } catch (error) {
@@ -44,7 +113,7 @@ const getUserBoards = async (req, res) => {
   }
 };
 
-boardsRouter.get("/", authMiddleware, getUserBoards);
+boardsRouter.get("/", authMiddleware, requireScope("boards:read"), getUserBoards);
 
 /**
  * @swagger
@@ -67,7 +136,9 @@ boardsRouter.get("/", authMiddleware, getUserBoards);
  *         description: Filter cards by priority
  *     responses:
  *       200:
- *         description: Board data including columns and cards
+ *         description: Board data including columns and ordered cards with their checklistProgress (done and total items), and the caller's role as currentUserRole
+ *       403:
+ *         description: Not a member of the board
  *       404:
  *         description: Board not found
  *       500:
@@ -78,39 +149,14 @@ export const getBoardData = async (req, res) => {
     const { boardId } = req.params;
     const { priority } = req.query; // Get priority from query parameters
 
-    // Find the board and populate collaborators
-    const board = await Board.findById(boardId).populate(
-      "collaborators",
-      "name avatarURL"
-    );
-    if (!board) {
+    const boardData = await buildBoardData(boardId, { priority });
+    if (!boardData) {
       return res.status(404).json({ error: "Board not found" });
     }
 
-    // Get all columns for the board
-    const columns = await Column.find({ boardId });
-
-    // Get all cards for each column with optional priority filter
-    const columnsWithCards = await Promise.all(
-      columns.map(async (column) => {
-        const filter = { columnId: column._id };
-        if (priority) {
-          filter.priority = priority;
-        }
-        const cards = await Card.find(filter).populate(
-          "collaborators",
-          "name avatarURL"
-        );
-        return {
-          ...column.toObject(),
-          cards,
-        };
-      })
-    );
-
     res.json({
-      ...board.toObject(),
-      columns: columnsWithCards,
+      ...boardData,
+      currentUserRole: req.boardRole,
     });
   } catch (error) {
     console.error("Error fetching board data:", error);
@@ -118,13 +164,14 @@ export const getBoardData = async (req, res) => {
   }
 };
 
-boardsRouter.get("/:boardId", authMiddleware, getBoardData);
+boardsRouter.get("/:boardId", authMiddleware, requireScope("boards:read"), authorizeBoard("board:read"), getBoardData);
 
 /**
  * @swagger
  * /api/boards:
  *   post:
  *     summary: Add a new board
+ *     description: Collaborators are invited once the board exists, through /api/invitations.
  *     tags: [Boards]
  *     requestBody:
  *       required: true
@@ -138,15 +185,18 @@ boardsRouter.get("/:boardId", authMiddleware, getBoardData);
  *                 type: string
  *               icon:
  *                 type: string
- *               collaborators:
- *                 type: array
- *                 items:
- *                   type: string
+ *               workspace:
+ *                 type: string
+ *                 description: Workspace the board belongs to
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, workspace]
+ *                 description: Defaults to workspace for boards created in a workspace
  *     responses:
  *       201:
  *         description: Board created successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error, or collaborators were given instead of being invited
  *       500:
  *         description: Server error
  */
@@ -157,22 +207,38 @@ export const addBoard = async (req, res) => {
   }
   try {
     const userId = req.user.id;
-    const { titleBoard, background, icon, collaborators } = req.body;
+    const { titleBoard, background, icon, collaborators, workspace = null } = req.body;
+    const visibility = req.body.visibility || (workspace ? "workspace" : "private");
+
+    // People only join through invitations, which carry their role and expire
+    if (collaborators?.length) {
+      return res
+        .status(400)
+        .json({ error: "Collaborators join a board by accepting an invitation" });
+    }
+
+    const workspaceError = await checkBoardWorkspace(req.user._id, workspace, visibility);
+    if (workspaceError) {
+      return res.status(workspaceError.status).json({ error: workspaceError.message });
+    }
+
     const newBoard = new Board({
       owner: userId,
       titleBoard,
       background,
       icon,
-      collaborators,
+      workspace,
+      visibility,
     });
     await newBoard.save();
+
     res.status(201).json(newBoard);
   } catch (error) {
     res.status(500).json({ error: "Server error" });
   }
 };
 
-boardsRouter.post("/", authMiddleware, addBoard);
+boardsRouter.post("/", authMiddleware, requireScope("boards:write"), addBoard);
 
 /**
  * @swagger
@@ -201,13 +267,23 @@ boardsRouter.post("/", authMiddleware, addBoard);
  *                 type: string
  *               collaborators:
  *                 type: array
+ *                 description: The collaborators to keep; leaving someone out removes them. New people are added through invitations.
  *                 items:
  *                   type: string
+ *               workspace:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Only the owner can move the board, and only to a workspace they belong to
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, workspace]
  *     responses:
  *       200:
  *         description: Board updated successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error, or collaborators lists someone who isn't a collaborator yet
+ *       403:
+ *         description: Only board admins can update the board, and only the owner can remove admins
  *       500:
  *         description: Server error
  */
@@ -218,19 +294,103 @@ export const updateBoard = async (req, res) => {
   }
   try {
     const { boardId } = req.params;
-    const { titleBoard, background, icon, collaborators } = req.body;
-    const updatedBoard = await Board.findByIdAndUpdate(
-      boardId,
-      { titleBoard, background, icon, collaborators },
-      { new: true }
-    );
+    const { titleBoard, background, icon, workspace, visibility } = req.body;
+    const collaborators =
+      req.body.collaborators && [...new Set(req.body.collaborators.map((id) => id.toLowerCase()))];
+    const update = { titleBoard, background, icon, collaborators, workspace, visibility };
+
+    const movingWorkspace =
+      workspace !== undefined && String(workspace) !== String(req.board.workspace);
+
+    if (movingWorkspace || visibility !== undefined) {
+      // Moving the board between workspaces changes who can open it
+      if (movingWorkspace && req.boardRole !== "owner") {
+        return res.status(403).json({ error: "Only the owner can move the board to another workspace" });
+      }
+
+      const targetWorkspace = workspace !== undefined ? workspace : req.board.workspace;
+      const targetVisibility =
+        visibility || (workspace === null ? "private" : req.board.visibility);
+      update.visibility = targetVisibility;
+
+      const workspaceError = await checkBoardWorkspace(
+        req.user._id,
+        targetWorkspace,
+        targetVisibility,
+        { requireMember: movingWorkspace }
+      );
+      if (workspaceError) {
+        return res.status(workspaceError.status).json({ error: workspaceError.message });
+      }
+    }
+
+    if (collaborators) {
+      // The list can only remove people, new ones go through invitations
+      const currentIds = req.board.collaborators.map((id) => id.toString());
+      if (collaborators.some((id) => !currentIds.includes(id))) {
+        return res
+          .status(400)
+          .json({ error: "New collaborators join a board by accepting an invitation" });
+      }
+
+      // Removed collaborators lose their role; only the owner may remove admins
+      const removedAdmin = req.board.memberRoles.some(
+        ({ userId, role }) => role === "admin" && !collaborators.includes(userId.toString())
+      );
+      if (removedAdmin && req.boardRole !== "owner") {
+        return res.status(403).json({ error: "Only the owner can remove admins" });
+      }
+      update.memberRoles = req.board.memberRoles.filter(({ userId }) =>
+        collaborators.includes(userId.toString())
+      );
+
+      const removed = req.board.collaborators.filter(
+        (id) => !collaborators.includes(id.toString())
+      );
+      if (removed.length) {
+        await unassignUsers({ boardId }, removed);
+      }
+      const transferTo = req.board.pendingTransfer?.to;
+      if (transferTo && !collaborators.includes(transferTo.toString())) {
+        update.$unset = { pendingTransfer: "" };
+      }
+    }
+
+    const updatedBoard = await Board.findByIdAndUpdate(boardId, update, { new: true });
+
+    // Workspace members who could only open the board through it lose their cards
+    const leftWorkspace =
+      updatedBoard.visibility !== "workspace" ||
+      String(updatedBoard.workspace) !== String(req.board.workspace);
+    if (req.board.visibility === "workspace" && req.board.workspace && leftWorkspace) {
+      await unassignFormerWorkspaceUsers(
+        await Workspace.findById(req.board.workspace),
+        [updatedBoard]
+      );
+    }
+
+    if (collaborators) {
+      const removed = req.board.collaborators
+        .map((id) => id.toString())
+        .filter((id) => !collaborators.includes(id));
+
+      await recordAuditEvents(
+        removed.map((target) => ({
+          boardId: req.board._id,
+          action: "member.removed",
+          actor: req.user._id,
+          target,
+        }))
+      );
+    }
+
     res.json(updatedBoard);
   } catch (error) {
     res.status(500).json({ error: "Server error" });
   }
 };
 
-boardsRouter.put("/:boardId", authMiddleware, updateBoard);
+boardsRouter.put("/:boardId", authMiddleware, requireScope("boards:write"), authorizeBoard("board:update"), updateBoard);
 
 /**
  * @swagger
@@ -248,19 +408,573 @@ boardsRouter.put("/:boardId", authMiddleware, updateBoard);
  *     responses:
  *       200:
  *         description: Board deleted successfully
+ *       403:
+ *         description: Only the owner can delete the board
  *       500:
  *         description: Server error
  */
 export const deleteBoard = async (req, res) => {
   try {
     const { boardId } = req.params;
-    await Board.findByIdAndDelete(boardId);
+    await deleteBoardWithContent(boardId);
+
+    await recordAuditEvent({
+      boardId: req.board._id,
+      action: "board.deleted",
+      actor: req.user._id,
+      details: { titleBoard: req.board.titleBoard },
+    });
+
     res.json({ message: "Board deleted" });
   } catch (error) {
     res.status(500).json({ error: "Server error" });
   }
 };
 
-boardsRouter.delete("/:boardId", authMiddleware, deleteBoard);
+boardsRouter.delete("/:boardId", authMiddleware, requireScope("boards:write"), authorizeBoard("board:delete"), deleteBoard);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/members/{userId}:
+ *   patch:
+ *     summary: Change a collaborator's role on the board
+ *     tags: [Boards]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, editor, commenter, viewer]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only board admins can change roles, and only the owner can grant or revoke admin
+ *       404:
+ *         description: The user is not a collaborator on the board
+ */
+export const updateMemberRole = async (req, res) => {
+  const { error } = updateMemberRoleSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { userId } = req.params;
+  const { role } = req.body;
+  const board = req.board;
+
+  const currentRole = getBoardRole(board, userId);
+  if (!currentRole || currentRole === "owner") {
+    throw createError(404, "The user is not a collaborator on this board");
+  }
+
+  if ((role === "admin" || currentRole === "admin") && req.boardRole !== "owner") {
+    throw createError(403, "Only the owner can grant or revoke the admin role");
+  }
+
+  board.memberRoles = board.memberRoles.filter((entry) => !entry.userId.equals(userId));
+  board.memberRoles.push({ userId, role });
+  await board.save();
+
+  await recordAuditEvent({
+    boardId: board._id,
+    action: "member.roleChanged",
+    actor: req.user._id,
+    target: userId,
+    details: { role, previousRole: currentRole },
+  });
+
+  res.json({ message: "Role updated", userId, role });
+};
+
+boardsRouter.patch(
+  "/:boardId/members/:userId",
+  authMiddleware,
+  requireScope("boards:write"),
+  authorizeBoard("members:manage"),
+  ctrlWrapper(updateMemberRole)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/invitations:
+ *   get:
+ *     summary: List the invitations sent for a board
+ *     tags: [Boards]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked, expired]
+ *         required: false
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first, with the invitee and the inviter
+ *       400:
+ *         description: Unknown status
+ *       403:
+ *         description: Only board admins can see invitations
+ *       404:
+ *         description: Board not found
+ */
+boardsRouter.get(
+  "/:boardId/invitations",
+  authMiddleware,
+  requireScope("boards:read"),
+  authorizeBoard("members:manage"),
+  getBoardInvitations
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/audit:
+ *   get:
+ *     summary: Membership history of a board
+ *     description: Invitations, role changes, added and removed collaborators and ownership transfers, newest first
+ *     tags: [Boards]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Only entries with this action, e.g. member.removed
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         required: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Between 1 and 100, defaults to 20
+ *     responses:
+ *       200:
+ *         description: Entries with actor and target, and the total count
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only board admins can see the audit log
+ */
+export const getBoardAuditLog = async (req, res) => {
+  const { error, value } = auditLogQuerySchema.validate(req.query);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { page, limit, action } = value;
+  const filter = { board: req.board._id };
+  if (action) {
+    filter.action = action;
+  }
+
+  const [entries, total] = await Promise.all([
+    BoardAuditLog.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("actor", "name avatarURL")
+      .populate("target", "name avatarURL"),
+    BoardAuditLog.countDocuments(filter),
+  ]);
+
+  res.json({ entries, total, page, limit });
+};
+
+boardsRouter.get(
+  "/:boardId/audit",
+  authMiddleware,
+  requireScope("boards:read"),
+  authorizeBoard("members:manage"),
+  ctrlWrapper(getBoardAuditLog)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/transfer:
+ *   post:
+ *     summary: Offer the board's ownership to one of its collaborators
+ *     description: The board keeps its owner until the collaborator accepts. A new offer replaces the previous one.
+ *     tags: [Boards]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Transfer requested
+ *       400:
+ *         description: Validation error, or the user is not a collaborator on the board
+ *       403:
+ *         description: Only the owner can transfer the board
+ */
+export const requestOwnershipTransfer = async (req, res) => {
+  const { error } = transferOwnershipSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { userId } = req.body;
+  const board = req.board;
+
+  if (!board.collaborators.some((id) => id.equals(userId))) {
+    throw createError(400, "The new owner must be a collaborator on this board");
+  }
+
+  board.pendingTransfer = { to: userId, requestedAt: new Date() };
+  await board.save();
+
+  await recordAuditEvent({
+    boardId: board._id,
+    action: "ownership.transferRequested",
+    actor: req.user._id,
+    target: userId,
+  });
+
+  res.json({ message: "Transfer requested", pendingTransfer: board.pendingTransfer });
+};
+
+boardsRouter.post(
+  "/:boardId/transfer",
+  authMiddleware,
+  requireSession,
+  authorizeBoard("board:transfer"),
+  ctrlWrapper(requestOwnershipTransfer)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/transfer:
+ *   delete:
+ *     summary: Cancel a pending ownership transfer
+ *     tags: [Boards]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       403:
+ *         description: Only the owner can cancel the transfer
+ *       404:
+ *         description: No transfer is pending
+ */
+export const cancelOwnershipTransfer = async (req, res) => {
+  const board = req.board;
+
+  const target = board.pendingTransfer?.to;
+  if (!target) {
+    throw createError(404, "No ownership transfer is pending");
+  }
+
+  board.pendingTransfer = undefined;
+  await board.save();
+
+  await recordAuditEvent({
+    boardId: board._id,
+    action: "ownership.transferCancelled",
+    actor: req.user._id,
+    target,
+  });
+
+  res.json({ message: "Transfer cancelled" });
+};
+
+boardsRouter.delete(
+  "/:boardId/transfer",
+  authMiddleware,
+  requireSession,
+  authorizeBoard("board:transfer"),
+  ctrlWrapper(cancelOwnershipTransfer)
+);
+
+// The pending transfer of req.board, if it is addressed to the caller
+const getOwnTransfer = (req) => {
+  const { pendingTransfer } = req.board;
+
+  if (!pendingTransfer?.to || !pendingTransfer.to.equals(req.user._id)) {
+    throw createError(404, "No ownership transfer is pending for you");
+  }
+
+  return pendingTransfer;
+};
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/transfer/accept:
+ *   post:
+ *     summary: Accept the ownership of a board
+ *     description: The previous owner stays on the board as an admin.
+ *     tags: [Boards]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The caller now owns the board
+ *       404:
+ *         description: No transfer is pending for the caller
+ */
+export const acceptOwnershipTransfer = async (req, res) => {
+  getOwnTransfer(req);
+
+  const previousOwner = req.board.owner;
+  await transferBoardOwnership(req.board, req.user._id);
+
+  await recordAuditEvent({
+    boardId: req.board._id,
+    action: "ownership.transferred",
+    actor: req.user._id,
+    target: req.user._id,
+    details: { previousOwner },
+  });
+
+  res.json({ message: "You are now the owner of this board" });
+};
+
+boardsRouter.post(
+  "/:boardId/transfer/accept",
+  authMiddleware,
+  requireSession,
+  authorizeBoard("board:read"),
+  ctrlWrapper(acceptOwnershipTransfer)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/transfer/decline:
+ *   post:
+ *     summary: Decline the ownership of a board
+ *     tags: [Boards]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Transfer declined
+ *       404:
+ *         description: No transfer is pending for the caller
+ */
+export const declineOwnershipTransfer = async (req, res) => {
+  getOwnTransfer(req);
+
+  req.board.pendingTransfer = undefined;
+  await req.board.save();
+
+  await recordAuditEvent({
+    boardId: req.board._id,
+    action: "ownership.transferDeclined",
+    actor: req.user._id,
+    target: req.user._id,
+  });
+
+  res.json({ message: "Transfer declined" });
+};
+
+boardsRouter.post(
+  "/:boardId/transfer/decline",
+  authMiddleware,
+  requireSession,
+  authorizeBoard("board:read"),
+  ctrlWrapper(declineOwnershipTransfer)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/leave:
+ *   post:
+ *     summary: Leave a board
+ *     description: Removes the caller from the board's collaborators and from its cards. The owner has to transfer the board first.
+ *     tags: [Boards]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The caller left the board
+ *       409:
+ *         description: The owner cannot leave the board
+ */
+export const leaveBoard = async (req, res) => {
+  if (req.boardRole === "owner") {
+    throw createError(409, "Transfer the board to another member before leaving it");
+  }
+
+  await removeMemberFromBoard(req.board, req.user._id);
+
+  await recordAuditEvent({
+    boardId: req.board._id,
+    action: "member.left",
+    actor: req.user._id,
+    target: req.user._id,
+  });
+
+  res.json({ message: "You left the board" });
+};
+
+boardsRouter.post(
+  "/:boardId/leave",
+  authMiddleware,
+  requireScope("boards:write"),
+  authorizeBoard("board:read"),
+  ctrlWrapper(leaveBoard)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/share:
+ *   post:
+ *     summary: Create a public read-only link to the board
+ *     description: A board has at most one link. Creating a new one revokes the previous link.
+ *     tags: [Boards]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Between 1 and 365. Without it the link works until it is revoked
+ *     responses:
+ *       201:
+ *         description: Link created. The token is only returned once
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only board admins can share the board
+ */
+export const createShareLink = async (req, res) => {
+  const { error } = shareLinkSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { expiresInDays } = req.body;
+  const token = generateToken();
+  const board = req.board;
+
+  board.shareLink = {
+    tokenHash: hashToken(token),
+    createdBy: req.user._id,
+    createdAt: new Date(),
+    expiresAt: expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null,
+  };
+  await board.save();
+
+  res.status(201).json({
+    token,
+    url: `${process.env.FRONT_URL}#/shared/${token}`,
+    expiresAt: board.shareLink.expiresAt,
+  });
+};
+
+boardsRouter.post(
+  "/:boardId/share",
+  authMiddleware,
+  requireScope("boards:write"),
+  authorizeBoard("board:share"),
+  ctrlWrapper(createShareLink)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/share:
+ *   delete:
+ *     summary: Revoke the board's public link
+ *     tags: [Boards]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Link revoked
+ *       403:
+ *         description: Only board admins can revoke the link
+ *       404:
+ *         description: The board has no public link
+ */
+export const revokeShareLink = async (req, res) => {
+  const board = req.board;
+
+  if (!board.shareLink?.createdAt) {
+    throw createError(404, "This board has no public link");
+  }
+
+  board.shareLink = undefined;
+  await board.save();
+
+  res.json({ message: "Link revoked" });
+};
+
+boardsRouter.delete(
+  "/:boardId/share",
+  authMiddleware,
+  requireScope("boards:write"),
+  authorizeBoard("board:share"),
+  ctrlWrapper(revokeShareLink)
+);
 
 export default boardsRouter;
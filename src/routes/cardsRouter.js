@@ -1,8 +1,29 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Card from '../models/cardModel.js';
 import Column from '../models/columnModel.js';
-import { cardAddSchema, cardUpdateSchema, cardPatchSchema } from '../models/cardModel.js';
+import Board from '../models/boardModel.js';
+import Comment from '../models/commentModel.js';
+import {
+  cardAddSchema,
+  cardUpdateSchema,
+  cardMoveSchema,
+  cardTransferSchema,
+} from '../models/cardModel.js';
 import authMiddleware from '../middleware/auth.js';
+import { requireScope } from '../middleware/scopes.js';
+import authorizeBoard from '../middleware/boardAccess.js';
+import { hasBoardPermission } from '../utils/boardPermissions.js';
+import { resolveBoardRole } from '../services/workspaces.js';
+import {
+  ASSIGNEE_FIELDS,
+  findNonMemberAssignee,
+  getCardUserIds,
+  getRequestedAssignees,
+  keepMemberAssignees,
+  partitionAssignees,
+} from '../services/cardAssignees.js';
+import { POSITION_ORDER, getEndPosition, getPositionBetween } from '../services/positions.js';
 
 const cardsRouter = express.Router({ mergeParams: true }); // Ensure mergeParams is true
 
@@ -18,6 +39,7 @@ const cardsRouter = express.Router({ mergeParams: true }); // Ensure mergeParams
  * /api/boards/{boardId}/columns/{columnId}/cards:
  *   post:
  *     summary: Add a new card
+ *     description: The card is added at the end of the column.
  *     tags: [Cards]
  *     parameters:
  *       - in: path
@@ -42,8 +64,9 @@ const cardsRouter = express.Router({ mergeParams: true }); // Ensure mergeParams
  *                 type: string
  *               deadline:
  *                 type: string
- *               collaborators:
+ *               assignees:
  *                 type: array
+ *                 description: IDs of board members to assign the card to
  *                 items:
  *                   type: string
  *     responses:
@@ -64,7 +87,8 @@ const addCard = async (req, res) => {
 
   try {
     const userId = req.user.id;
-    const { titleCard, description, priority, priorityColor, deadline, collaborators } = req.body;
+    const { titleCard, description, priority, priorityColor, deadline } = req.body;
+    const assignees = getRequestedAssignees(req.body);
     const columnId = req.params.columnId;
     const column = await Column.findById(columnId);
 
@@ -72,7 +96,9 @@ const addCard = async (req, res) => {
       return res.status(404).json({ error: 'Column not found' });
     }
 
-    console.log("Received Collaborators: ", collaborators); // Debugging log
+    if (assignees && (await findNonMemberAssignee(req.board, assignees))) {
+      return res.status(400).json({ error: 'Cards can only be assigned to board members' });
+    }
 
     const newCard = new Card({
       titleCard,
@@ -83,10 +109,12 @@ const addCard = async (req, res) => {
       columnId,
       owner: userId,
       boardId: column.boardId,
-      collaborators,
+      assignees,
+      position: await getEndPosition(Card, { columnId }),
     });
 
     await newCard.save();
+    await newCard.populate('assignees', ASSIGNEE_FIELDS);
     res.status(201).json(newCard);
   } catch (error) {
     console.error('Error adding card:', error);
@@ -123,8 +151,12 @@ const addCard = async (req, res) => {
  *                 type: string
  *               deadline:
  *                 type: string
- *               collaborators:
+ *               columnId:
+ *                 type: string
+ *                 description: A column of the same board; when it changes the card goes to the end of that column
+ *               assignees:
  *                 type: array
+ *                 description: IDs of board members to assign the card to
  *                 items:
  *                   type: string
  *     responses:
@@ -132,6 +164,8 @@ const addCard = async (req, res) => {
  *         description: Card updated successfully
  *       400:
  *         description: Validation error
+ *       404:
+ *         description: Column not found on this board
  *       500:
  *         description: Server error
  */
@@ -142,7 +176,27 @@ const updateCard = async (req, res) => {
   }
   try {
     const { cardId } = req.params;
-    const updatedCard = await Card.findByIdAndUpdate(cardId, req.body, { new: true });
+    const { collaborators, columnId, ...update } = req.body;
+    const assignees = getRequestedAssignees(req.body);
+
+    // A new column must be on the same board; the card goes to its end
+    if (!req.card.columnId.equals(columnId)) {
+      if (!(await Column.exists({ _id: columnId, boardId: req.board._id }))) {
+        return res.status(404).json({ error: 'Column not found' });
+      }
+      update.columnId = columnId;
+      update.position = await getEndPosition(Card, { columnId });
+    }
+
+    if (assignees) {
+      if (await findNonMemberAssignee(req.board, assignees)) {
+        return res.status(400).json({ error: 'Cards can only be assigned to board members' });
+      }
+      update.assignees = assignees;
+    }
+
+    const updatedCard = await Card.findByIdAndUpdate(cardId, update, { new: true })
+      .populate('assignees', ASSIGNEE_FIELDS);
     res.json(updatedCard);
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
@@ -179,6 +233,7 @@ export const deleteCard = async (req, res) => {
       return res.status(404).json({ error: "Card not found" });
     }
 
+    await Comment.deleteMany({ cardId: card._id });
     res.json({ message: "Card deleted" });
   } catch (error) {
     res.status(500).json({ error: "Server error" });
@@ -190,6 +245,7 @@ export const deleteCard = async (req, res) => {
  * /api/boards/{boardId}/columns/{columnId}/cards:
  *   get:
  *     summary: Get all cards in a column
+ *     description: Cards are returned in their order within the column.
  *     tags: [Cards]
  *     parameters:
  *       - in: path
@@ -207,7 +263,9 @@ export const deleteCard = async (req, res) => {
 export const getCardsForColumn = async (req, res) => {
   try {
     const { columnId } = req.params;
-    const cards = await Card.find({ columnId });
+    const cards = await Card.find({ columnId })
+      .sort(POSITION_ORDER)
+      .populate('assignees', ASSIGNEE_FIELDS);
     res.json(cards);
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
@@ -238,7 +296,9 @@ export const getCardsForColumn = async (req, res) => {
 export const getCardData = async (req, res) => {
   try {
     const { cardId } = req.params;
-    const card = await Card.findById(cardId);
+    const card = await Card.findById(cardId)
+      .populate('assignees', ASSIGNEE_FIELDS)
+      .populate('checklists.items.assignee', ASSIGNEE_FIELDS);
     if (!card) {
       return res.status(404).json({ error: 'Card not found' });
     }
@@ -252,7 +312,8 @@ export const getCardData = async (req, res) => {
  * @swagger
  * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/move:
  *   patch:
- *     summary: Move a card to a new column
+ *     summary: Move a card within its column or to another column
+ *     description: The card is placed between beforeId and afterId in the target column. With only one of them it goes right after beforeId or right before afterId, and with neither at the end of the column. Only the moved card is written.
  *     tags: [Cards]
  *     parameters:
  *       - in: path
@@ -269,26 +330,54 @@ export const getCardData = async (req, res) => {
  *             properties:
  *               newColumnId:
  *                 type: string
- *                 description: The ID of the new column
+ *                 description: The ID of the target column on the same board, defaults to the card's current column. Use the transfer endpoint to move a card to another board.
+ *               beforeId:
+ *                 type: string
+ *                 description: The card that will come right before the moved card
+ *               afterId:
+ *                 type: string
+ *                 description: The card that will come right after the moved card
  *     responses:
  *       200:
  *         description: Card moved successfully
+ *       400:
+ *         description: Validation error, or the neighbours are not cards of the target column in that order
  *       404:
- *         description: Card not found
+ *         description: Card not found, or the target column is not on this board
  *       500:
  *         description: Server error
  */
 export const moveCard = async (req, res) => {
+  const { error } = cardMoveSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
   const { cardId } = req.params;
-  const { newColumnId } = req.body;
+  const { newColumnId = req.card.columnId, beforeId, afterId } = req.body;
 
   try {
-    // Update the card to move it to the new column
+    if (!(await Column.exists({ _id: newColumnId, boardId: req.board._id }))) {
+      return res.status(404).json({ error: 'Column not found' });
+    }
+
+    const position = await getPositionBetween(
+      Card,
+      { columnId: newColumnId },
+      { id: cardId, beforeId, afterId }
+    );
+    if (!position) {
+      return res
+        .status(400)
+        .json({ error: 'beforeId and afterId must be cards of the target column, in that order' });
+    }
+
+    // Only the moved card changes, its neighbours keep their positions
     const updatedCard = await Card.findByIdAndUpdate(
       cardId,
-      { columnId: newColumnId },
+      { columnId: newColumnId, boardId: req.board._id, position },
       { new: true }
-    );
+    ).populate('assignees', ASSIGNEE_FIELDS);
 
     if (!updatedCard) {
       return res.status(404).json({ error: "Card not found" });
@@ -300,12 +389,317 @@ export const moveCard = async (req, res) => {
   }
 };
 
-cardsRouter.patch("/:cardId/move", authMiddleware, moveCard); // Endpoint to move a card to a new column
-cardsRouter.post('/', authMiddleware, addCard); // Add a new card
-cardsRouter.put('/:cardId', authMiddleware, updateCard); // Update a card
-cardsRouter.delete('/:cardId', authMiddleware, deleteCard); // Delete a card
-cardsRouter.get('/', authMiddleware, getCardsForColumn); // Get all cards in a column
-cardsRouter.get('/:cardId', authMiddleware, getCardData); // Get card data
+// Board and column a card is transferred or copied to, checking that the user
+// may add cards there. Sends the error response and returns null otherwise.
+const loadTargetColumn = async (req, res) => {
+  const { boardId = req.board._id, columnId } = req.body;
+
+  const board = await Board.findById(boardId);
+  const role = board && (await resolveBoardRole(board, req.user._id));
+  if (!role) {
+    res.status(404).json({ error: 'Target board not found' });
+    return null;
+  }
+
+  if (!hasBoardPermission(role, 'cards:write')) {
+    res.status(403).json({ error: "Your role on the target board doesn't allow adding cards" });
+    return null;
+  }
+
+  const column = await Column.findOne({ _id: columnId, boardId: board._id });
+  if (!column) {
+    res.status(404).json({ error: 'Target column not found' });
+    return null;
+  }
+
+  return { board, column };
+};
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/transfer:
+ *   post:
+ *     summary: Move a card to a column of another board
+ *     description: Requires editing rights on both boards. Assignees of the card or its checklist items who can't open the target board are unassigned and listed in the response.
+ *     tags: [Cards]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the card to move
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               boardId:
+ *                 type: string
+ *                 description: The ID of the target board, defaults to the card's board
+ *               columnId:
+ *                 type: string
+ *                 description: The ID of a column of the target board
+ *               beforeId:
+ *                 type: string
+ *                 description: The card that will come right before the moved card
+ *               afterId:
+ *                 type: string
+ *                 description: The card that will come right after the moved card
+ *     responses:
+ *       200:
+ *         description: The moved card, and the IDs of the users who were unassigned
+ *       400:
+ *         description: Validation error, or the neighbours are not cards of the target column in that order
+ *       403:
+ *         description: Your role on one of the boards doesn't allow it
+ *       404:
+ *         description: Card, target board or target column not found
+ *       500:
+ *         description: Server error
+ */
+export const transferCard = async (req, res) => {
+  const { error } = cardTransferSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  const { beforeId, afterId } = req.body;
+  const card = req.card;
+
+  try {
+    const target = await loadTargetColumn(req, res);
+    if (!target) return;
+
+    const position = await getPositionBetween(
+      Card,
+      { columnId: target.column._id },
+      { id: card._id, beforeId, afterId }
+    );
+    if (!position) {
+      return res
+        .status(400)
+        .json({ error: 'beforeId and afterId must be cards of the target column, in that order' });
+    }
+
+    const { members, nonMembers } = await partitionAssignees(target.board, getCardUserIds(card));
+
+    const movedCard = await Card.findByIdAndUpdate(
+      card._id,
+      {
+        boardId: target.board._id,
+        columnId: target.column._id,
+        position,
+        ...keepMemberAssignees(card, members),
+      },
+      { new: true }
+    ).populate('assignees', ASSIGNEE_FIELDS);
+
+    // The discussion moves with the card
+    await Comment.updateMany({ cardId: card._id }, { boardId: target.board._id });
+
+    res.json({ card: movedCard, unassigned: nonMembers });
+  } catch (error) {
+    console.error('Error transferring card:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/copy:
+ *   post:
+ *     summary: Copy a card to a column of this or another board
+ *     description: Requires read access to the card's board and editing rights on the target board. Checklists are copied too. The copy belongs to the caller, and assignees who can't open the target board are left out and listed in the response.
+ *     tags: [Cards]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the card to copy
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               boardId:
+ *                 type: string
+ *                 description: The ID of the target board, defaults to the card's board
+ *               columnId:
+ *                 type: string
+ *                 description: The ID of a column of the target board
+ *               beforeId:
+ *                 type: string
+ *                 description: The card that will come right before the copy
+ *               afterId:
+ *                 type: string
+ *                 description: The card that will come right after the copy
+ *     responses:
+ *       201:
+ *         description: The new card, and the IDs of the assignees left out
+ *       400:
+ *         description: Validation error, or the neighbours are not cards of the target column in that order
+ *       403:
+ *         description: Your role on one of the boards doesn't allow it
+ *       404:
+ *         description: Card, target board or target column not found
+ *       500:
+ *         description: Server error
+ */
+export const copyCard = async (req, res) => {
+  const { error } = cardTransferSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  const { beforeId, afterId } = req.body;
+  const card = req.card;
+
+  try {
+    const target = await loadTargetColumn(req, res);
+    if (!target) return;
+
+    const position = await getPositionBetween(
+      Card,
+      { columnId: target.column._id },
+      { beforeId, afterId }
+    );
+    if (!position) {
+      return res
+        .status(400)
+        .json({ error: 'beforeId and afterId must be cards of the target column, in that order' });
+    }
+
+    const { members, nonMembers } = await partitionAssignees(target.board, getCardUserIds(card));
+
+    const newCard = new Card({
+      titleCard: card.titleCard,
+      description: card.description,
+      priority: card.priority,
+      priorityColor: card.priorityColor,
+      deadline: card.deadline,
+      columnId: target.column._id,
+      owner: req.user._id,
+      boardId: target.board._id,
+      position,
+      ...keepMemberAssignees(card, members, { copy: true }),
+    });
+
+    await newCard.save();
+    await newCard.populate('assignees', ASSIGNEE_FIELDS);
+    res.status(201).json({ card: newCard, unassigned: nonMembers });
+  } catch (error) {
+    console.error('Error copying card:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/assignees/{userId}:
+ *   post:
+ *     summary: Assign a board member to a card
+ *     tags: [Cards]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The card with its populated assignees
+ *       400:
+ *         description: The user is not a member of the board
+ *       404:
+ *         description: Card not found
+ *       500:
+ *         description: Server error
+ */
+export const addAssignee = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId) || (await findNonMemberAssignee(req.board, [userId]))) {
+      return res.status(400).json({ error: 'Cards can only be assigned to board members' });
+    }
+
+    const card = await Card.findByIdAndUpdate(
+      req.card._id,
+      { $addToSet: { assignees: userId } },
+      { new: true }
+    ).populate('assignees', ASSIGNEE_FIELDS);
+
+    res.json(card);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/assignees/{userId}:
+ *   delete:
+ *     summary: Unassign a user from a card
+ *     tags: [Cards]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The card with its populated assignees
+ *       404:
+ *         description: Card not found, or the user is not assigned to it
+ *       500:
+ *         description: Server error
+ */
+export const removeAssignee = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!req.card.assignees.some((id) => id.equals(userId))) {
+      return res.status(404).json({ error: 'The user is not assigned to this card' });
+    }
+
+    const card = await Card.findByIdAndUpdate(
+      req.card._id,
+      { $pull: { assignees: userId } },
+      { new: true }
+    ).populate('assignees', ASSIGNEE_FIELDS);
+
+    res.json(card);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+cardsRouter.patch("/:cardId/move", authMiddleware, requireScope("cards:write"), authorizeBoard("cards:write"), moveCard); // Endpoint to move a card to a new column
+cardsRouter.post('/:cardId/transfer', authMiddleware, requireScope('cards:write'), authorizeBoard('cards:write'), transferCard); // Move a card to another board
+cardsRouter.post('/:cardId/copy', authMiddleware, requireScope('cards:write'), authorizeBoard('board:read'), copyCard); // Copy a card
+cardsRouter.post('/', authMiddleware, requireScope('cards:write'), authorizeBoard('cards:write'), addCard); // Add a new card
+cardsRouter.put('/:cardId', authMiddleware, requireScope('cards:write'), authorizeBoard('cards:write'), updateCard); // Update a card
+cardsRouter.delete('/:cardId', authMiddleware, requireScope('cards:write'), authorizeBoard('cards:write'), deleteCard); // Delete a card
+cardsRouter.get('/', authMiddleware, requireScope('cards:read'), authorizeBoard('board:read'), getCardsForColumn); // Get all cards in a column
+cardsRouter.get('/:cardId', authMiddleware, requireScope('cards:read'), authorizeBoard('board:read'), getCardData); // Get card data
+cardsRouter.post('/:cardId/assignees/:userId', authMiddleware, requireScope('cards:write'), authorizeBoard('cards:write'), addAssignee); // Assign a board member
+cardsRouter.delete('/:cardId/assignees/:userId', authMiddleware, requireScope('cards:write'), authorizeBoard('cards:write'), removeAssignee); // Unassign a user
 
 export default cardsRouter;
 
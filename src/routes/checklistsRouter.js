@@ -0,0 +1,532 @@
+import express from "express";
+import createError from "../utils/error.js";
+import ctrlWrapper from "../utils/ctrlWrapper.js";
+import authMiddleware from "../middleware/auth.js";
+import { requireScope } from "../middleware/scopes.js";
+import authorizeBoard from "../middleware/boardAccess.js";
+import {
+  checklistAddSchema,
+  checklistUpdateSchema,
+  checklistOrderSchema,
+  checklistItemAddSchema,
+  checklistItemUpdateSchema,
+  checklistItemOrderSchema,
+} from "../models/cardModel.js";
+import { ASSIGNEE_FIELDS, findNonMemberAssignee } from "../services/cardAssignees.js";
+
+const checklistsRouter = express.Router({ mergeParams: true });
+
+const validate = (schema, body) => {
+  const { error } = schema.validate(body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+};
+
+const findChecklist = (card, checklistId) => {
+  const checklist = card.checklists.id(checklistId);
+  if (!checklist) {
+    throw createError(404, "Checklist not found");
+  }
+  return checklist;
+};
+
+const findItem = (checklist, itemId) => {
+  const item = checklist.items.id(itemId);
+  if (!item) {
+    throw createError(404, "Checklist item not found");
+  }
+  return item;
+};
+
+// Item assignees follow the same rule as card assignees
+const checkItemAssignees = async (board, items) => {
+  const assignees = items.map(({ assignee }) => assignee).filter(Boolean);
+  if (assignees.length && (await findNonMemberAssignee(board, assignees))) {
+    throw createError(400, "Checklist items can only be assigned to board members");
+  }
+};
+
+// Subdocuments in the order of ids, which must list each of them exactly once.
+// Counts distinct subdocuments, as ids differing only in case find the same one.
+const sortByIds = (subdocs, ids, label) => {
+  const sorted = ids.map((id) => subdocs.id(id));
+  const found = new Set(sorted.filter(Boolean).map(({ _id }) => String(_id)));
+  if (ids.length !== subdocs.length || found.size !== subdocs.length) {
+    throw createError(400, `${label} must list every one of them exactly once`);
+  }
+  return sorted;
+};
+
+const saveCard = async (card) => {
+  await card.save();
+  return card.populate("checklists.items.assignee", ASSIGNEE_FIELDS);
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Checklists
+ *   description: API for managing the checklists of a card
+ */
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/checklists:
+ *   get:
+ *     summary: Get the checklists of a card
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Checklists in display order, with their items
+ *       404:
+ *         description: Card not found
+ */
+const getChecklists = async (req, res) => {
+  const card = await req.card.populate("checklists.items.assignee", ASSIGNEE_FIELDS);
+
+  res.json(card.checklists);
+};
+
+checklistsRouter.get(
+  "/",
+  authMiddleware,
+  requireScope("cards:read"),
+  authorizeBoard("board:read"),
+  ctrlWrapper(getChecklists)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/checklists:
+ *   post:
+ *     summary: Add a checklist to a card
+ *     description: The checklist is added after the card's other checklists.
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               title:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 description: Initial items, each with text and optionally done, assignee and dueDate
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Checklist created
+ *       400:
+ *         description: Validation error, or an assignee is not a board member
+ *       404:
+ *         description: Card not found
+ */
+const addChecklist = async (req, res) => {
+  validate(checklistAddSchema, req.body);
+
+  const { title, items = [] } = req.body;
+  await checkItemAssignees(req.board, items);
+
+  const card = req.card;
+  card.checklists.push({ title, items });
+  await saveCard(card);
+
+  res.status(201).json(card.checklists[card.checklists.length - 1]);
+};
+
+checklistsRouter.post(
+  "/",
+  authMiddleware,
+  requireScope("cards:write"),
+  authorizeBoard("cards:write"),
+  ctrlWrapper(addChecklist)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/checklists/order:
+ *   put:
+ *     summary: Set the order of all checklists of a card
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               checklistIds:
+ *                 type: array
+ *                 description: Every checklist of the card, each exactly once, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The checklists in the new order
+ *       400:
+ *         description: Validation error, or the list is not exactly the card's checklists
+ */
+const reorderChecklists = async (req, res) => {
+  validate(checklistOrderSchema, req.body);
+
+  const card = req.card;
+  card.checklists = sortByIds(card.checklists, req.body.checklistIds, "checklistIds");
+  await saveCard(card);
+
+  res.json(card.checklists);
+};
+
+// Before "/:checklistId" routes
+checklistsRouter.put(
+  "/order",
+  authMiddleware,
+  requireScope("cards:write"),
+  authorizeBoard("cards:write"),
+  ctrlWrapper(reorderChecklists)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/checklists/{checklistId}:
+ *   patch:
+ *     summary: Rename a checklist
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               title:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Checklist updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Card or checklist not found
+ */
+const updateChecklist = async (req, res) => {
+  validate(checklistUpdateSchema, req.body);
+
+  const card = req.card;
+  const checklist = findChecklist(card, req.params.checklistId);
+  checklist.title = req.body.title;
+  await saveCard(card);
+
+  res.json(checklist);
+};
+
+checklistsRouter.patch(
+  "/:checklistId",
+  authMiddleware,
+  requireScope("cards:write"),
+  authorizeBoard("cards:write"),
+  ctrlWrapper(updateChecklist)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/checklists/{checklistId}:
+ *   delete:
+ *     summary: Delete a checklist with its items
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Checklist deleted
+ *       404:
+ *         description: Card or checklist not found
+ */
+const deleteChecklist = async (req, res) => {
+  const card = req.card;
+  findChecklist(card, req.params.checklistId).deleteOne();
+  await card.save();
+
+  res.json({ message: "Checklist deleted" });
+};
+
+checklistsRouter.delete(
+  "/:checklistId",
+  authMiddleware,
+  requireScope("cards:write"),
+  authorizeBoard("cards:write"),
+  ctrlWrapper(deleteChecklist)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/checklists/{checklistId}/items:
+ *   post:
+ *     summary: Add an item at the end of a checklist
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               text:
+ *                 type: string
+ *               done:
+ *                 type: boolean
+ *               assignee:
+ *                 type: string
+ *                 description: ID of a board member
+ *               dueDate:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Item created
+ *       400:
+ *         description: Validation error, or the assignee is not a board member
+ *       404:
+ *         description: Card or checklist not found
+ */
+const addItem = async (req, res) => {
+  validate(checklistItemAddSchema, req.body);
+  await checkItemAssignees(req.board, [req.body]);
+
+  const card = req.card;
+  const checklist = findChecklist(card, req.params.checklistId);
+  checklist.items.push(req.body);
+  await saveCard(card);
+
+  res.status(201).json(checklist.items[checklist.items.length - 1]);
+};
+
+checklistsRouter.post(
+  "/:checklistId/items",
+  authMiddleware,
+  requireScope("cards:write"),
+  authorizeBoard("cards:write"),
+  ctrlWrapper(addItem)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/checklists/{checklistId}/items/order:
+ *   put:
+ *     summary: Set the order of all items of a checklist
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 description: Every item of the checklist, each exactly once, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The checklist with its items in the new order
+ *       400:
+ *         description: Validation error, or the list is not exactly the checklist's items
+ *       404:
+ *         description: Card or checklist not found
+ */
+const reorderItems = async (req, res) => {
+  validate(checklistItemOrderSchema, req.body);
+
+  const card = req.card;
+  const checklist = findChecklist(card, req.params.checklistId);
+  checklist.items = sortByIds(checklist.items, req.body.itemIds, "itemIds");
+  await saveCard(card);
+
+  res.json(checklist);
+};
+
+// Before "/:checklistId/items/:itemId" routes
+checklistsRouter.put(
+  "/:checklistId/items/order",
+  authMiddleware,
+  requireScope("cards:write"),
+  authorizeBoard("cards:write"),
+  ctrlWrapper(reorderItems)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/checklists/{checklistId}/items/{itemId}:
+ *   patch:
+ *     summary: Update a checklist item, e.g. to tick it off
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               text:
+ *                 type: string
+ *               done:
+ *                 type: boolean
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of a board member, null to unassign
+ *               dueDate:
+ *                 type: string
+ *                 nullable: true
+ *                 description: null to remove the due date
+ *     responses:
+ *       200:
+ *         description: Item updated
+ *       400:
+ *         description: Validation error, or the assignee is not a board member
+ *       404:
+ *         description: Card, checklist or item not found
+ */
+const updateItem = async (req, res) => {
+  validate(checklistItemUpdateSchema, req.body);
+  await checkItemAssignees(req.board, [req.body]);
+
+  const card = req.card;
+  const checklist = findChecklist(card, req.params.checklistId);
+  const item = findItem(checklist, req.params.itemId);
+
+  for (const [field, value] of Object.entries(req.body)) {
+    item[field] = value === null ? undefined : value;
+  }
+  await saveCard(card);
+
+  res.json(item);
+};
+
+checklistsRouter.patch(
+  "/:checklistId/items/:itemId",
+  authMiddleware,
+  requireScope("cards:write"),
+  authorizeBoard("cards:write"),
+  ctrlWrapper(updateItem)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/checklists/{checklistId}/items/{itemId}:
+ *   delete:
+ *     summary: Delete a checklist item
+ *     tags: [Checklists]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: checklistId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: itemId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Item deleted
+ *       404:
+ *         description: Card, checklist or item not found
+ */
+const deleteItem = async (req, res) => {
+  const card = req.card;
+  const checklist = findChecklist(card, req.params.checklistId);
+  findItem(checklist, req.params.itemId).deleteOne();
+  await card.save();
+
+  res.json({ message: "Checklist item deleted" });
+};
+
+checklistsRouter.delete(
+  "/:checklistId/items/:itemId",
+  authMiddleware,
+  requireScope("cards:write"),
+  authorizeBoard("cards:write"),
+  ctrlWrapper(deleteItem)
+);
+
+export default checklistsRouter;
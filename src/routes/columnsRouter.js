@@ -1,8 +1,22 @@
 import express from 'express';
 import Column from '../models/columnModel.js';
 import Board from '../models/boardModel.js';
-import { schemaAddColumn, schemaUpdateColumn } from '../models/columnModel.js';
+import {
+  schemaAddColumn,
+  schemaUpdateColumn,
+  schemaMoveColumn,
+  schemaColumnOrder,
+} from '../models/columnModel.js';
 import authMiddleware from '../middleware/auth.js';
+import { requireScope } from '../middleware/scopes.js';
+import authorizeBoard from '../middleware/boardAccess.js';
+import {
+  POSITION_ORDER,
+  getEndPosition,
+  getPositionBetween,
+  setPositions,
+} from '../services/positions.js';
+import { deleteColumnWithContent } from '../services/boardCleanup.js';
 
 const columnsRouter = express.Router({ mergeParams: true }); // Enable merging of params
 
@@ -18,6 +32,7 @@ const columnsRouter = express.Router({ mergeParams: true }); // Enable merging o
  * /api/boards/{boardId}/columns:
  *   post:
  *     summary: Add a new column
+ *     description: The column is added after the board's other columns.
  *     tags: [Columns]
  *     parameters:
  *       - in: path
@@ -59,7 +74,12 @@ export const addColumn = async (req, res) => {
       return res.status(404).json({ error: 'Board not found' });
     }
 
-    const newColumn = new Column({ titleColumn, boardId, owner: userId });
+    const newColumn = new Column({
+      titleColumn,
+      boardId,
+      owner: userId,
+      position: await getEndPosition(Column, { boardId }),
+    });
     await newColumn.save();
     res.status(201).json(newColumn);
   } catch (error) {
@@ -120,6 +140,7 @@ export const updateColumn = async (req, res) => {
  * /api/boards/{boardId}/columns/{columnId}:
  *   delete:
  *     summary: Delete a column
+ *     description: The cards of the column are deleted too, with their checklists and comments.
  *     tags: [Columns]
  *     parameters:
  *       - in: path
@@ -131,13 +152,18 @@ export const updateColumn = async (req, res) => {
  *     responses:
  *       200:
  *         description: Column deleted successfully
+ *       404:
+ *         description: Column not found
  *       500:
  *         description: Server error
  */
 export const deleteColumn = async (req, res) => {
   try {
-    const { columnId } = req.params;
-    await Column.findByIdAndDelete(columnId);
+    const { boardId, columnId } = req.params;
+    const column = await deleteColumnWithContent(boardId, columnId);
+    if (!column) {
+      return res.status(404).json({ error: 'Column not found' });
+    }
     res.json({ message: 'Column deleted' });
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
@@ -149,6 +175,7 @@ export const deleteColumn = async (req, res) => {
  * /api/boards/{boardId}/columns:
  *   get:
  *     summary: Get all columns for a board
+ *     description: Columns are returned in their order on the board.
  *     tags: [Columns]
  *     parameters:
  *       - in: path
@@ -166,17 +193,149 @@ export const deleteColumn = async (req, res) => {
 export const getColumnsForBoard = async (req, res) => {
   try {
     const { boardId } = req.params;
-    const columns = await Column.find({ boardId });
+    const columns = await Column.find({ boardId }).sort(POSITION_ORDER);
+    res.json(columns);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/move:
+ *   patch:
+ *     summary: Move a column to another place on its board
+ *     description: The column is placed between beforeId and afterId. With only one of them it goes right after beforeId or right before afterId, and with neither after all other columns. Only the moved column is written.
+ *     tags: [Columns]
+ *     parameters:
+ *       - in: path
+ *         name: columnId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the column to move
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               beforeId:
+ *                 type: string
+ *                 description: The column that will come right before the moved column
+ *               afterId:
+ *                 type: string
+ *                 description: The column that will come right after the moved column
+ *     responses:
+ *       200:
+ *         description: Column moved successfully
+ *       400:
+ *         description: Validation error, or the neighbours are not columns of the board in that order
+ *       404:
+ *         description: Column not found
+ *       500:
+ *         description: Server error
+ */
+export const moveColumn = async (req, res) => {
+  const { error } = schemaMoveColumn.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  try {
+    const { boardId, columnId } = req.params;
+    const { beforeId, afterId } = req.body;
+
+    const position = await getPositionBetween(
+      Column,
+      { boardId },
+      { id: columnId, beforeId, afterId }
+    );
+    if (!position) {
+      return res
+        .status(400)
+        .json({ error: 'beforeId and afterId must be columns of this board, in that order' });
+    }
+
+    const updatedColumn = await Column.findByIdAndUpdate(
+      columnId,
+      { position },
+      { new: true }
+    );
+    res.json(updatedColumn);
+  } catch (error) {
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/order:
+ *   put:
+ *     summary: Set the order of all columns of a board
+ *     tags: [Columns]
+ *     parameters:
+ *       - in: path
+ *         name: boardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: The ID of the board
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               columnIds:
+ *                 type: array
+ *                 description: Every column of the board, each exactly once, in the new order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The board's columns in the new order
+ *       400:
+ *         description: Validation error, or the list is not exactly the board's columns
+ *       500:
+ *         description: Server error
+ */
+export const setColumnOrder = async (req, res) => {
+  const { error } = schemaColumnOrder.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  try {
+    const { boardId } = req.params;
+    const columnIds = req.body.columnIds.map((id) => id.toLowerCase());
+
+    const boardColumnIds = (await Column.find({ boardId }, '_id')).map(({ _id }) => String(_id));
+    const matches =
+      new Set(columnIds).size === boardColumnIds.length &&
+      columnIds.length === boardColumnIds.length &&
+      columnIds.every((id) => boardColumnIds.includes(id));
+    if (!matches) {
+      return res
+        .status(400)
+        .json({ error: 'columnIds must list every column of this board exactly once' });
+    }
+
+    if (columnIds.length) {
+      await setPositions(Column, columnIds);
+    }
+
+    const columns = await Column.find({ boardId }).sort(POSITION_ORDER);
     res.json(columns);
   } catch (error) {
     res.status(500).json({ error: 'Server error' });
   }
 };
 
-columnsRouter.post('/', authMiddleware, addColumn); // Add a new column
-columnsRouter.put('/:columnId', authMiddleware, updateColumn); // Update a column
-columnsRouter.delete('/:columnId', authMiddleware, deleteColumn); // Delete a column
-columnsRouter.get('/', authMiddleware, getColumnsForBoard); // Get all columns for a board
+columnsRouter.put('/order', authMiddleware, requireScope('columns:write'), authorizeBoard('columns:write'), setColumnOrder); // Reorder all columns, before '/:columnId'
+columnsRouter.patch('/:columnId/move', authMiddleware, requireScope('columns:write'), authorizeBoard('columns:write'), moveColumn); // Move a column
+columnsRouter.post('/', authMiddleware, requireScope('columns:write'), authorizeBoard('columns:write'), addColumn); // Add a new column
+columnsRouter.put('/:columnId', authMiddleware, requireScope('columns:write'), authorizeBoard('columns:write'), updateColumn); // Update a column
+columnsRouter.delete('/:columnId', authMiddleware, requireScope('columns:write'), authorizeBoard('columns:write'), deleteColumn); // Delete a column
+columnsRouter.get('/', authMiddleware, requireScope('columns:read'), authorizeBoard('board:read'), getColumnsForBoard); // Get all columns for a board
 
 export default columnsRouter;
 
@@ -0,0 +1,266 @@
+import express from "express";
+import mongoose from "mongoose";
+import createError from "../utils/error.js";
+import ctrlWrapper from "../utils/ctrlWrapper.js";
+import authMiddleware from "../middleware/auth.js";
+import { requireScope } from "../middleware/scopes.js";
+import authorizeBoard from "../middleware/boardAccess.js";
+import Comment, { commentAddSchema, commentUpdateSchema } from "../models/commentModel.js";
+import { hasBoardPermission } from "../utils/boardPermissions.js";
+import { COMMENT_USER_FIELDS, resolveMentions } from "../services/commentMentions.js";
+
+const commentsRouter = express.Router({ mergeParams: true });
+
+const populateComment = (query) =>
+  query.populate([
+    { path: "author", select: COMMENT_USER_FIELDS },
+    { path: "mentions", select: COMMENT_USER_FIELDS },
+  ]);
+
+// Load :commentId, which must belong to the card from the URL
+const findCardComment = async (req) => {
+  const { commentId } = req.params;
+
+  const comment =
+    mongoose.isValidObjectId(commentId) &&
+    (await Comment.findOne({ _id: commentId, cardId: req.card._id }));
+  if (!comment) {
+    throw createError(404, "Comment not found");
+  }
+  return comment;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Comments
+ *   description: API for discussing a card, with one level of replies
+ */
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/comments:
+ *   get:
+ *     summary: Get the comments of a card
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Top-level comments, oldest first, each with its replies (oldest first) and the mentioned users. Comments of deleted accounts have no author and authorDeleted set
+ *       404:
+ *         description: Card not found
+ */
+const getComments = async (req, res) => {
+  const comments = await populateComment(
+    Comment.find({ cardId: req.card._id }).sort({ createdAt: 1, _id: 1 })
+  );
+
+  const threads = comments
+    .filter((comment) => !comment.parentId)
+    .map((comment) => ({ ...comment.toObject(), replies: [] }));
+
+  for (const reply of comments.filter((comment) => comment.parentId)) {
+    const thread = threads.find(({ _id }) => _id.equals(reply.parentId));
+    thread?.replies.push(reply.toObject());
+  }
+
+  res.json(threads);
+};
+
+commentsRouter.get(
+  "/",
+  authMiddleware,
+  requireScope("cards:read"),
+  authorizeBoard("board:read"),
+  ctrlWrapper(getComments)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/comments:
+ *   post:
+ *     summary: Comment on a card, or reply to a comment
+ *     description: Board members written as @name in the text are stored as mentions. A reply to a reply joins the same thread, as replies are only one level deep.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               text:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 description: The comment to reply to
+ *     responses:
+ *       201:
+ *         description: Comment created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Your role on this board doesn't allow commenting
+ *       404:
+ *         description: Card or parent comment not found
+ */
+const addComment = async (req, res) => {
+  const { error, value } = commentAddSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { text, parentId } = value;
+  let threadId = null;
+
+  if (parentId) {
+    const parent = await Comment.findOne({ _id: parentId, cardId: req.card._id });
+    if (!parent) {
+      throw createError(404, "Comment not found");
+    }
+    threadId = parent.parentId || parent._id;
+  }
+
+  const comment = await Comment.create({
+    cardId: req.card._id,
+    boardId: req.board._id,
+    author: req.user._id,
+    text,
+    parentId: threadId,
+    mentions: await resolveMentions(req.board, text),
+  });
+
+  res.status(201).json(await populateComment(Comment.findById(comment._id)));
+};
+
+commentsRouter.post(
+  "/",
+  authMiddleware,
+  requireScope("comments:write"),
+  authorizeBoard("comments:write"),
+  ctrlWrapper(addComment)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit your own comment
+ *     description: The comment gets an editedAt date and its mentions are resolved again.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only the author can edit a comment
+ *       404:
+ *         description: Card or comment not found
+ */
+const updateComment = async (req, res) => {
+  const { error, value } = commentUpdateSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const comment = await findCardComment(req);
+  if (!comment.author?.equals(req.user._id)) {
+    throw createError(403, "Only the author can edit a comment");
+  }
+
+  if (comment.text !== value.text) {
+    comment.text = value.text;
+    comment.mentions = await resolveMentions(req.board, value.text);
+    comment.editedAt = new Date();
+    await comment.save();
+  }
+
+  res.json(await populateComment(Comment.findById(comment._id)));
+};
+
+commentsRouter.patch(
+  "/:commentId",
+  authMiddleware,
+  requireScope("comments:write"),
+  authorizeBoard("comments:write"),
+  ctrlWrapper(updateComment)
+);
+
+/**
+ * @swagger
+ * /api/boards/{boardId}/columns/{columnId}/cards/{cardId}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     description: Authors can delete their own comments and board admins any comment. Deleting a top-level comment deletes its replies too.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: cardId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Comment deleted
+ *       403:
+ *         description: Only the author or a board admin can delete a comment
+ *       404:
+ *         description: Card or comment not found
+ */
+const deleteComment = async (req, res) => {
+  const comment = await findCardComment(req);
+
+  const isAuthor = Boolean(comment.author?.equals(req.user._id));
+  if (!isAuthor && !hasBoardPermission(req.boardRole, "members:manage")) {
+    throw createError(403, "Only the author or a board admin can delete a comment");
+  }
+
+  await Comment.deleteMany({ $or: [{ _id: comment._id }, { parentId: comment._id }] });
+
+  res.json({ message: "Comment deleted" });
+};
+
+commentsRouter.delete(
+  "/:commentId",
+  authMiddleware,
+  requireScope("comments:write"),
+  authorizeBoard("comments:write"),
+  ctrlWrapper(deleteComment)
+);
+
+export default commentsRouter;
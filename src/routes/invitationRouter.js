@@ -4,14 +4,22 @@ import {
   acceptInvitation,
   declineInvitation,
   getUserInvitations,
+  getInvitationByToken,
+  revokeInvitation,
+  resendInvitation,
 } from "../controllers/invitationController.js";
 import authMiddleware from "../middleware/auth.js";
+import requireVerifiedEmail from "../middleware/requireVerifiedEmail.js";
+import { requireSession } from "../middleware/scopes.js";
 
 const router = express.Router();
 
-router.post("/", authMiddleware, createInvitation);
-router.post("/accept/:invitationId", authMiddleware, acceptInvitation);
-router.post("/decline/:invitationId", authMiddleware, declineInvitation);
-router.get("/", authMiddleware, getUserInvitations);
+router.post("/", authMiddleware, requireSession, requireVerifiedEmail, createInvitation);
+router.post("/accept/:invitationId", authMiddleware, requireSession, requireVerifiedEmail, acceptInvitation);
+router.post("/decline/:invitationId", authMiddleware, requireSession, requireVerifiedEmail, declineInvitation);
+router.get("/", authMiddleware, requireSession, requireVerifiedEmail, getUserInvitations);
+router.get("/token/:token", getInvitationByToken);
+router.delete("/:invitationId", authMiddleware, requireSession, requireVerifiedEmail, revokeInvitation);
+router.post("/:invitationId/resend", authMiddleware, requireSession, requireVerifiedEmail, resendInvitation);
 
 export default router;
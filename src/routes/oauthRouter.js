@@ -0,0 +1,566 @@
+import express from "express";
+import bcrypt from "bcrypt";
+import dotenv from "dotenv";
+import queryString from "query-string";
+import createError from "../utils/error.js";
+import User, { exchangeCodeSchema } from "../models/userModel.js";
+import Session from "../models/sessionModel.js";
+import AuthCode from "../models/authCodeModel.js";
+import ctrlWrapper from "../utils/ctrlWrapper.js";
+import authMiddleware from "../middleware/auth.js";
+import { requireSession } from "../middleware/scopes.js";
+import userResponse from "../utils/userResponse.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import {
+  createSession,
+  signMfaToken,
+  signOAuthState,
+  verifyOAuthState,
+  signLinkTicket,
+  verifyLinkTicket,
+} from "../utils/authTokens.js";
+import {
+  getProvider,
+  listProviders,
+  buildAuthorizationUrl,
+  fetchProfile,
+} from "../config/oauthProviders.js";
+import { attachPendingInvitations } from "../services/invitations.js";
+import { sendVerificationEmail } from "../utils/emailVerification.js";
+import verificationPolicy from "../config/emailVerification.js";
+
+dotenv.config();
+
+const { BACKEND_URL, FRONT_URL } = process.env;
+
+const oauthRouter = express.Router();
+
+const STATE_COOKIE = "oauth_state";
+const STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  sameSite: "lax", // sent along with the top-level redirect back from the provider
+  secure: Boolean(BACKEND_URL?.startsWith("https://")),
+  path: "/api/auth",
+};
+const STATE_TTL_MS = 10 * 60 * 1000;
+const AUTH_CODE_TTL_MS = 60 * 1000;
+
+const redirectToFront = (res, path, params) =>
+  // # - se adauga doar pentru github pages ca sa functioneze HashRouter.
+  res.redirect(`${FRONT_URL}#${path}?${queryString.stringify(params)}`);
+
+// Short-lived single-use code the front-end exchanges for tokens,
+// so tokens never travel in a URL
+const issueAuthCode = async (data) => {
+  const code = generateToken();
+
+  await AuthCode.create({
+    ...data,
+    codeHash: hashToken(code),
+    expiresAt: new Date(Date.now() + AUTH_CODE_TTL_MS),
+  });
+
+  return code;
+};
+
+const consumeAuthCode = (code, filter) =>
+  AuthCode.findOneAndDelete({
+    ...filter,
+    codeHash: hashToken(code),
+    expiresAt: { $gt: new Date() },
+  });
+
+const findUserByIdentity = async (provider, subject) => {
+  const user = await User.findOne({
+    identities: { $elemMatch: { provider, subject } },
+  });
+
+  if (user || provider !== "google") {
+    return user;
+  }
+
+  // Accounts linked to Google before identities existed
+  const legacyUser = await User.findOne({ googleId: subject });
+
+  if (legacyUser) {
+    legacyUser.googleId = undefined;
+    legacyUser.identities.push({ provider, subject, email: legacyUser.email });
+    await legacyUser.save();
+  }
+
+  return legacyUser;
+};
+
+const hasIdentity = (user, provider) =>
+  user.identities.some((identity) => identity.provider === provider) ||
+  (provider === "google" && Boolean(user.googleId));
+
+// Match on the provider's account id first. Falling back to the email is
+// only safe when the provider vouches for the address.
+const findOrCreateOAuthUser = async (provider, profile) => {
+  const { subject, email, emailVerified, name, avatarURL } = profile;
+
+  let user = await findUserByIdentity(provider, subject);
+
+  if (user) {
+    return user;
+  }
+
+  if (!email) {
+    throw createError(400, "The provider did not share an email address");
+  }
+
+  user = await User.findOne({ email: email.toLowerCase() });
+
+  if (user) {
+    if (!emailVerified || hasIdentity(user, provider)) {
+      throw createError(
+        409,
+        `This email is already registered. Sign in with your password and link ${provider} from your profile`
+      );
+    }
+
+    if (!user.verified) {
+      // Nobody proved they own this address before, the provider just did. Whoever
+      // registered it may not be the owner, so their password and sessions go.
+      user.password = await bcrypt.hash(generateToken(), 12);
+      user.verified = true;
+      await Session.deleteMany({ uid: user._id });
+    }
+
+    user.identities.push({ provider, subject, email });
+    await user.save();
+
+    return user;
+  }
+
+  const newUser = await User.create({
+    email,
+    name,
+    avatarURL,
+    password: await bcrypt.hash(generateToken(), 12),
+    identities: [{ provider, subject, email }],
+    verified: emailVerified,
+  });
+
+  // The provider doesn't vouch for the address, so it's confirmed like on sign-up
+  if (!emailVerified) {
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (err) {
+      // The user can ask for a new link through /resend-verification
+      console.error("Error sending verification email:", err);
+    }
+  }
+
+  return newUser;
+};
+
+oauthRouter.param("provider", (req, res, next, name) => {
+  const provider = getProvider(name);
+
+  if (!provider) {
+    return next(createError(404, "Unknown authentication provider"));
+  }
+
+  req.oauthProvider = provider;
+  next();
+});
+
+/**
+ * @swagger
+ * /api/auth/exchange-code:
+ *   post:
+ *     summary: Exchange the one-time code from an OAuth redirect for tokens
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: The code received at /auth/callback
+ *     responses:
+ *       200:
+ *         description: Successful operation. When 2FA is enabled the response holds mfaRequired and an mfaToken instead of session tokens
+ *       400:
+ *         description: Invalid or expired code
+ *       403:
+ *         description: Email not verified (the provider didn't confirm it and a verification email was sent)
+ */
+const exchangeCode = async (req, res) => {
+  const { error } = exchangeCodeSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const authCode = await consumeAuthCode(req.body.code, { purpose: "login" });
+  const user = authCode && (await User.findById(authCode.uid));
+
+  if (!user) {
+    throw createError(400, "Invalid or expired code");
+  }
+
+  // Same rule as signing in with a password
+  if (verificationPolicy === "block" && !user.verified) {
+    throw createError(403, "Please verify your email address before signing in");
+  }
+
+  // The identity provider only proves the first factor
+  if (user.twoFactor.enabled) {
+    return res.json({
+      message: "Two-factor authentication required",
+      mfaRequired: true,
+      mfaToken: signMfaToken(user),
+    });
+  }
+
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    message: "Successful operation",
+    token,
+    refreshToken,
+    user: userResponse(user),
+  });
+};
+
+oauthRouter.post("/exchange-code", ctrlWrapper(exchangeCode));
+
+/**
+ * @swagger
+ * /api/auth/identities:
+ *   get:
+ *     summary: List the external accounts linked to the authenticated user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Linked identities and the providers that are available for linking
+ */
+const getIdentities = async (req, res) => {
+  const identities = req.user.identities.map(({ provider, email, linkedAt }) => ({
+    provider,
+    email,
+    linkedAt,
+  }));
+
+  if (req.user.googleId) {
+    identities.push({ provider: "google", email: req.user.email });
+  }
+
+  res.json({ identities, providers: listProviders() });
+};
+
+oauthRouter.get(
+  "/identities",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(getIdentities)
+);
+
+/**
+ * @swagger
+ * /api/auth/{provider}:
+ *   get:
+ *     summary: Redirect to an external identity provider (google, github or the configured OIDC provider)
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: link
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Link ticket from GET /api/auth/{provider}/link, to link the provider to the signed-in account instead of logging in
+ *     responses:
+ *       302:
+ *         description: Redirects to the provider
+ *       400:
+ *         description: Invalid or expired link ticket
+ *       404:
+ *         description: Unknown authentication provider
+ */
+const startOAuth = async (req, res) => {
+  const provider = req.oauthProvider;
+  let linkUserId;
+
+  if (req.query.link) {
+    try {
+      linkUserId = verifyLinkTicket(req.query.link).id;
+    } catch (error) {
+      throw createError(400, "Invalid or expired link ticket");
+    }
+  }
+
+  const nonce = generateToken(16);
+
+  res.cookie(STATE_COOKIE, nonce, {
+    ...STATE_COOKIE_OPTIONS,
+    maxAge: STATE_TTL_MS,
+  });
+
+  const state = signOAuthState({
+    nonce,
+    provider: provider.name,
+    link: linkUserId,
+  });
+
+  res.redirect(await buildAuthorizationUrl(provider, state));
+};
+
+/**
+ * @swagger
+ * /api/auth/{provider}/callback:
+ *   get:
+ *     summary: Handle the redirect back from an external identity provider
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       302:
+ *         description: Redirects to the front-end with a one-time code (or an error) at /auth/callback, or at /auth/link-callback when linking
+ */
+const handleOAuthCallback = async (req, res) => {
+  const provider = req.oauthProvider;
+  const { code, state } = req.query;
+  const nonce = req.cookies[STATE_COOKIE];
+
+  res.clearCookie(STATE_COOKIE, STATE_COOKIE_OPTIONS);
+
+  let statePayload = null;
+  try {
+    statePayload = verifyOAuthState(state);
+  } catch (error) {
+    // handled below
+  }
+
+  if (
+    !statePayload ||
+    !nonce ||
+    statePayload.nonce !== nonce ||
+    statePayload.provider !== provider.name
+  ) {
+    return redirectToFront(res, "/auth/callback", { error: "Invalid OAuth state" });
+  }
+
+  const callbackPath = statePayload.link ? "/auth/link-callback" : "/auth/callback";
+
+  if (!code) {
+    return redirectToFront(res, callbackPath, { error: "Sign-in was cancelled" });
+  }
+
+  try {
+    const profile = await fetchProfile(provider, code);
+
+    if (statePayload.link) {
+      const owner = await findUserByIdentity(provider.name, profile.subject);
+      if (owner && !owner._id.equals(statePayload.link)) {
+        throw createError(409, "This account is linked to another user");
+      }
+
+      const linkCode = await issueAuthCode({
+        purpose: "link",
+        uid: statePayload.link,
+        provider: provider.name,
+        subject: profile.subject,
+        email: profile.email,
+      });
+
+      return redirectToFront(res, callbackPath, { code: linkCode });
+    }
+
+    const user = await findOrCreateOAuthUser(provider.name, profile);
+    await attachPendingInvitations(user);
+
+    const loginCode = await issueAuthCode({
+      purpose: "login",
+      uid: user._id,
+      provider: provider.name,
+    });
+
+    redirectToFront(res, callbackPath, { code: loginCode });
+  } catch (error) {
+    console.error(`Error during ${provider.name} authentication:`, error);
+    redirectToFront(res, callbackPath, {
+      error: error.status ? error.message : "Sign-in failed",
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/google-redirect:
+ *   get:
+ *     summary: Legacy Google callback, same as /api/auth/google/callback
+ *     tags: [Auth]
+ *     responses:
+ *       302:
+ *         description: Redirects to the front-end with a one-time code or an error
+ */
+const useGoogle = (req, res, next) => {
+  req.oauthProvider = getProvider("google");
+
+  if (!req.oauthProvider) {
+    return next(createError(404, "Unknown authentication provider"));
+  }
+
+  next();
+};
+
+oauthRouter.get(
+  "/google-redirect",
+  useGoogle,
+  ctrlWrapper(handleOAuthCallback)
+);
+
+/**
+ * @swagger
+ * /api/auth/{provider}/link:
+ *   get:
+ *     summary: Get the URL that starts linking the provider to the authenticated account
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: URL to open in the browser. It is valid for 2 minutes
+ *   post:
+ *     summary: Finish linking the provider to the authenticated account
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: The code received at /auth/link-callback
+ *     responses:
+ *       200:
+ *         description: Account linked
+ *       400:
+ *         description: Invalid or expired code
+ *       409:
+ *         description: The external account is linked to another user, or the provider is already linked
+ *   delete:
+ *     summary: Unlink the provider from the authenticated account
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Account unlinked
+ *       400:
+ *         description: The provider is not linked
+ */
+const getLinkUrl = async (req, res) => {
+  res.json({
+    url: `${BACKEND_URL}/api/auth/${req.oauthProvider.name}?link=${signLinkTicket(req.user)}`,
+  });
+};
+
+const linkIdentity = async (req, res) => {
+  const { error } = exchangeCodeSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const provider = req.oauthProvider.name;
+
+  // The code must come back from the same user who started the flow
+  const authCode = await consumeAuthCode(req.body.code, {
+    purpose: "link",
+    uid: req.user._id,
+    provider,
+  });
+
+  if (!authCode) {
+    throw createError(400, "Invalid or expired code");
+  }
+
+  const owner = await findUserByIdentity(provider, authCode.subject);
+  if (owner && !owner._id.equals(req.user._id)) {
+    throw createError(409, "This account is linked to another user");
+  }
+
+  if (hasIdentity(req.user, provider)) {
+    throw createError(409, `A ${provider} account is already linked, unlink it first`);
+  }
+
+  req.user.identities.push({
+    provider,
+    subject: authCode.subject,
+    email: authCode.email,
+  });
+  await req.user.save();
+
+  res.json({ message: "Account linked", provider, email: authCode.email });
+};
+
+const unlinkIdentity = async (req, res) => {
+  const provider = req.oauthProvider.name;
+
+  if (!hasIdentity(req.user, provider)) {
+    throw createError(400, "This provider is not linked");
+  }
+
+  req.user.identities = req.user.identities.filter(
+    (identity) => identity.provider !== provider
+  );
+  if (provider === "google") {
+    req.user.googleId = undefined;
+  }
+  await req.user.save();
+
+  res.json({ message: "Account unlinked", provider });
+};
+
+oauthRouter.get(
+  "/:provider/link",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(getLinkUrl)
+);
+oauthRouter.post(
+  "/:provider/link",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(linkIdentity)
+);
+oauthRouter.delete(
+  "/:provider/link",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(unlinkIdentity)
+);
+oauthRouter.get("/:provider/callback", ctrlWrapper(handleOAuthCallback));
+oauthRouter.get("/:provider", ctrlWrapper(startOAuth));
+
+export default oauthRouter;
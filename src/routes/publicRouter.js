@@ -0,0 +1,63 @@
+import express from "express";
+import createError from "../utils/error.js";
+import ctrlWrapper from "../utils/ctrlWrapper.js";
+import Board from "../models/boardModel.js";
+import { hashToken } from "../utils/tokens.js";
+import { buildBoardData, toPublicBoardData } from "../services/boardData.js";
+
+const publicRouter = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Public
+ *   description: Read-only endpoints that don't need an account
+ */
+
+/**
+ * @swagger
+ * /api/public/boards/{token}:
+ *   get:
+ *     summary: Get a board shared through a public link
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *         required: false
+ *         description: Filter cards by priority
+ *     responses:
+ *       200:
+ *         description: Board data in the same shape as GET /api/boards/{boardId}, without user ids, emails, roles or settings. currentUserRole is always viewer
+ *       404:
+ *         description: The link doesn't exist, was revoked or has expired
+ */
+const getSharedBoard = async (req, res) => {
+  const board = await Board.findOne({
+    "shareLink.tokenHash": hashToken(req.params.token),
+    $or: [
+      { "shareLink.expiresAt": null },
+      { "shareLink.expiresAt": { $gt: new Date() } },
+    ],
+  });
+
+  const boardData = board && (await buildBoardData(board._id, { priority: req.query.priority }));
+  if (!boardData) {
+    throw createError(404, "This link doesn't exist or has expired");
+  }
+
+  res.json({
+    ...toPublicBoardData(boardData),
+    currentUserRole: "viewer",
+  });
+};
+
+publicRouter.get("/boards/:token", ctrlWrapper(getSharedBoard));
+
+export default publicRouter;
@@ -1,7 +1,14 @@
 import express from "express";
 import mongoose from "mongoose";
 import createError from "../utils/error.js";
-import User, { helpRequestSchema, updateThemeSchema, updateProfileSchema } from "../models/userModel.js";
+import User, {
+  helpRequestSchema,
+  updateThemeSchema,
+  updateProfileSchema,
+  deleteAccountSchema,
+  directorySearchSchema,
+  directoryLookupSchema,
+} from "../models/userModel.js";
 import authMiddleware from "../middleware/auth.js";
 import ctrlWrapper from "../utils/ctrlWrapper.js";
 import cloudinary from "../config/cloudinary.js";
@@ -9,9 +16,34 @@ import upload from "../config/multer.js";
 import * as fs from 'node:fs/promises';
 import bcrypt from "bcrypt";
 import nodemailer from 'nodemailer';
+import { sendVerificationEmail } from "../utils/emailVerification.js";
+import { helpRequestLimiter, directoryLimiter } from "../middleware/rateLimiter.js";
+import { emailRegexp, escapeRegExp } from "../utils/validators.js";
+import {
+  ACTIVE_USER_FILTER,
+  DIRECTORY_FIELDS,
+  findConnectedUserIds,
+  findUserByExactEmail,
+  toDirectoryEntry,
+} from "../services/userDirectory.js";
+import { requireSession } from "../middleware/scopes.js";
+import AccessToken, {
+  ACCESS_TOKEN_PREFIX,
+  createAccessTokenSchema,
+} from "../models/accessTokenModel.js";
+import { generateToken, hashToken } from "../utils/tokens.js";
+import { verifySecondFactor } from "../utils/twoFactor.js";
+import {
+  deleteUserAccount,
+  validateTransfers,
+} from "../services/accountDeletion.js";
 
 const usersRouter = express.Router();
 
+const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 0;
+// Signing in again counts as re-authentication for users without a usable password
+const RECENT_LOGIN_MS = 5 * 60 * 1000;
+
 /**
  * @swagger
  * tags:
@@ -66,7 +98,7 @@ const changeTheme = async (req, res) => {
   }
 }
 
-usersRouter.post('/theme', authMiddleware, ctrlWrapper(changeTheme));
+usersRouter.post('/theme', authMiddleware, requireSession, ctrlWrapper(changeTheme));
 
 /**
  * @swagger
@@ -100,6 +132,9 @@ const getCurrentUser = async (req, res) => {
         email: user.email,
         theme: user.theme,
         avatarURL: user.avatarURL,
+        verified: user.verified,
+        deletionScheduledFor: user.pendingDeletion?.scheduledFor,
+        isAdmin: user.isAdmin,
       },
     });
   } catch (error) {
@@ -175,7 +210,7 @@ const changeAvatar = async (req, res) => {
   }
 };
 
-usersRouter.patch('/avatar', authMiddleware, upload.single('avatar'), ctrlWrapper(changeAvatar));
+usersRouter.patch('/avatar', authMiddleware, requireSession, upload.single('avatar'), ctrlWrapper(changeAvatar));
 
 /**
  * @swagger
@@ -223,12 +258,33 @@ const updateProfile = async (req, res) => {
     updates.password = await bcrypt.hash(updates.password, 12);
   }
 
+  // A new email address has to be confirmed again
+  if (updates.email) {
+    updates.email = updates.email.toLowerCase();
+  }
+  const emailChanged = updates.email && updates.email !== req.user.email;
+  if (emailChanged) {
+    const existingUser = await User.findOne({ email: updates.email });
+    if (existingUser) {
+      throw createError(409, "Provided email already exists");
+    }
+    updates.verified = false;
+  }
+
   const user = await User.findByIdAndUpdate(userId, updates, { new: true, runValidators: true });
 
   if (!user) {
     throw createError(404, "User not found");
   }
 
+  if (emailChanged) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error("Error sending verification email:", err);
+    }
+  }
+
   res.status(200).json({
     message: "Profile updated successfully",
     user: {
@@ -236,11 +292,12 @@ const updateProfile = async (req, res) => {
       email: user.email,
       theme: user.theme,
       avatarURL: user.avatarURL,
+      verified: user.verified,
     },
   });
 };
 
-usersRouter.patch("/profile", authMiddleware, ctrlWrapper(updateProfile));
+usersRouter.patch("/profile", authMiddleware, requireSession, ctrlWrapper(updateProfile));
 
 /**
  * @swagger
@@ -263,6 +320,8 @@ usersRouter.patch("/profile", authMiddleware, ctrlWrapper(updateProfile));
  *         description: Help request submitted successfully
  *       400:
  *         description: Validation error
+ *       429:
+ *         description: Too many requests, retry after the number of seconds in the Retry-After header
  *       500:
  *         description: Error sending email
  */
@@ -300,47 +359,315 @@ const requestHelp = async (req, res) => {
   }
 };
 
-usersRouter.post("/help-request", ctrlWrapper(requestHelp));
+usersRouter.post("/help-request", helpRequestLimiter, ctrlWrapper(requestHelp));
 
 /**
  * @swagger
- * /api/users/details-by-email/{email}:
+ * /api/user/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [boards:read, boards:write, columns:read, columns:write, cards:read, cards:write, comments:write, workspaces:read, workspaces:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 description: Between 1 and 365, defaults to 30
+ *     responses:
+ *       201:
+ *         description: Token created. The token value is only returned once
+ *       400:
+ *         description: Validation error
  *   get:
- *     summary: Get user details by email
+ *     summary: List personal access tokens
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Tokens with name, scopes, expiry and last use (without the token values)
+ */
+const formatAccessToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  prefix: accessToken.prefix,
+  scopes: accessToken.scopes,
+  createdAt: accessToken.createdAt,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+});
+
+const createAccessToken = async (req, res) => {
+  const { error, value } = createAccessTokenSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { name, scopes, expiresInDays } = value;
+  const token = `${ACCESS_TOKEN_PREFIX}${generateToken()}`;
+
+  const accessToken = await AccessToken.create({
+    user: req.user._id,
+    name,
+    scopes,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, ACCESS_TOKEN_PREFIX.length + 6),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  res.status(201).json({
+    message: "Token created. Copy it now, it won't be shown again",
+    token,
+    accessToken: formatAccessToken(accessToken),
+  });
+};
+
+const getAccessTokens = async (req, res) => {
+  const accessTokens = await AccessToken.find({ user: req.user._id }).sort({
+    createdAt: -1,
+  });
+
+  res.status(200).json({ tokens: accessTokens.map(formatAccessToken) });
+};
+
+usersRouter.post("/tokens", authMiddleware, requireSession, ctrlWrapper(createAccessToken));
+usersRouter.get("/tokens", authMiddleware, requireSession, ctrlWrapper(getAccessTokens));
+
+/**
+ * @swagger
+ * /api/user/tokens/{tokenId}:
+ *   delete:
+ *     summary: Revoke a personal access token
  *     tags: [Users]
  *     parameters:
  *       - in: path
- *         name: email
+ *         name: tokenId
  *         schema:
  *           type: string
  *         required: true
- *         description: The email of the user
  *     responses:
  *       200:
- *         description: User details retrieved successfully
+ *         description: Token revoked
  *       404:
- *         description: User not found
- *       500:
- *         description: Internal server error
+ *         description: Token not found
  */
-usersRouter.get('/details-by-email/:email', async (req, res) => {
-  try {
-    const user = await User.findOne({ email: req.params.email });
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+const revokeAccessToken = async (req, res) => {
+  const { tokenId } = req.params;
+
+  if (!mongoose.isValidObjectId(tokenId)) {
+    throw createError(404, "Token not found");
+  }
+
+  const accessToken = await AccessToken.findOneAndDelete({
+    _id: tokenId,
+    user: req.user._id,
+  });
+
+  if (!accessToken) {
+    throw createError(404, "Token not found");
+  }
+
+  res.status(200).json({ message: "Token revoked" });
+};
+
+usersRouter.delete("/tokens/:tokenId", authMiddleware, requireSession, ctrlWrapper(revokeAccessToken));
+
+/**
+ * @swagger
+ * /api/user:
+ *   delete:
+ *     summary: Delete the authenticated user's account
+ *     description: Owned boards listed in transfers go to the chosen collaborator, all other owned boards are deleted with their columns and cards. With a grace period configured the deletion is only scheduled and can be cancelled.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Required unless the user signed in during the last 5 minutes
+ *               code:
+ *                 type: string
+ *                 description: 2FA code, required when 2FA is enabled
+ *               transfers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     boardId:
+ *                       type: string
+ *                     newOwnerId:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Account deleted
+ *       202:
+ *         description: Deletion scheduled for the end of the grace period
+ *       400:
+ *         description: Validation error or invalid transfer
+ *       403:
+ *         description: Re-authentication failed
+ */
+const deleteAccount = async (req, res) => {
+  const { error, value } = deleteAccountSchema.validate(req.body);
+
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { password, code, transfers } = value;
+  const user = req.user;
+
+  if (password) {
+    if (!(await bcrypt.compare(password, user.password))) {
+      throw createError(403, "Invalid password");
     }
-    res.json({ userId: user._id, name: user.name, avatar: user.avatarURL });
-  } catch (error) {
-    console.error('Error finding user:', error);
-    res.status(500).json({ error: 'Server error' });
+  } else if (Date.now() - req.session.createdAt > RECENT_LOGIN_MS) {
+    throw createError(403, "Please confirm your password or sign in again");
   }
-});
+
+  if (user.twoFactor.enabled && !(code && (await verifySecondFactor(user, code)))) {
+    throw createError(403, "Invalid two-factor code");
+  }
+
+  const transferError = await validateTransfers(user, transfers);
+  if (transferError) {
+    throw createError(400, transferError);
+  }
+
+  if (DELETION_GRACE_DAYS > 0) {
+    const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    user.pendingDeletion = { scheduledFor, transfers };
+    await user.save();
+
+    return res.status(202).json({
+      message: "Account deletion scheduled. You can cancel it until then",
+      scheduledFor,
+    });
+  }
+
+  await deleteUserAccount(user, transfers);
+
+  res.status(200).json({ message: "Account deleted" });
+};
+
+usersRouter.delete("/", authMiddleware, requireSession, ctrlWrapper(deleteAccount));
+
+/**
+ * @swagger
+ * /api/user/deletion/cancel:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       400:
+ *         description: No deletion is scheduled
+ */
+const cancelAccountDeletion = async (req, res) => {
+  const user = req.user;
+
+  if (!user.pendingDeletion?.scheduledFor) {
+    throw createError(400, "No account deletion is scheduled");
+  }
+
+  user.pendingDeletion = undefined;
+  await user.save();
+
+  res.status(200).json({ message: "Account deletion cancelled" });
+};
+
+usersRouter.post("/deletion/cancel", authMiddleware, requireSession, ctrlWrapper(cancelAccountDeletion));
 
 /**
  * @swagger
- * /api/users/get-users-by-ids:
+ * /api/user/directory:
+ *   get:
+ *     summary: Search the people the user works with
+ *     description: Prefix search on the name of users who share a board or a workspace with the caller, for invitation autocompletion. Emails are only matched in full, and a complete email address also finds a user outside those boards and workspaces.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Start of a name, or a complete email address
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         required: false
+ *         description: Between 1 and 50, defaults to 10
+ *     responses:
+ *       200:
+ *         description: Matching users as { id, name, avatarURL }
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many searches
+ */
+const searchDirectory = async (req, res) => {
+  const { error, value } = directorySearchSchema.validate(req.query);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { q, limit } = value;
+  const prefix = new RegExp(`^${escapeRegExp(q)}`, "i");
+
+  const connectedIds = await findConnectedUserIds(req.user._id);
+  const users = await User.find(
+    {
+      _id: { $in: connectedIds },
+      name: prefix,
+      ...ACTIVE_USER_FILTER,
+    },
+    DIRECTORY_FIELDS
+  )
+    .sort({ name: 1 })
+    .limit(limit);
+
+  if (emailRegexp.test(q)) {
+    const exactMatch = await findUserByExactEmail(q.toLowerCase());
+    const alreadyListed = exactMatch && users.some(({ _id }) => _id.equals(exactMatch._id));
+
+    if (exactMatch && !alreadyListed && !exactMatch._id.equals(req.user._id)) {
+      users.unshift(exactMatch);
+      users.splice(limit);
+    }
+  }
+
+  res.json(users.map(toDirectoryEntry));
+};
+
+usersRouter.get(
+  "/directory",
+  authMiddleware,
+  requireSession,
+  directoryLimiter,
+  ctrlWrapper(searchDirectory)
+);
+
+/**
+ * @swagger
+ * /api/user/directory/lookup:
  *   post:
- *     summary: Get users by their IDs
+ *     summary: Get the people the user works with by their IDs
+ *     description: IDs of users who don't share a board or a workspace with the caller, or whose account is disabled, are left out of the response.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -354,28 +681,30 @@ usersRouter.get('/details-by-email/:email', async (req, res) => {
  *                   type: string
  *     responses:
  *       200:
- *         description: Users retrieved successfully
+ *         description: Users as { id, name, avatarURL }
  *       400:
  *         description: Some IDs are invalid
- *       500:
- *         description: Internal server error
  */
-usersRouter.post('/get-users-by-ids', async (req, res) => {
-  const { ids } = req.body;
+const lookupDirectory = async (req, res) => {
+  const { error } = directoryLookupSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
 
-  try {
-    // Filter out invalid IDs
-    const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
-    if (validIds.length !== ids.length) {
-      return res.status(400).json({ message: 'Some IDs are invalid' });
-    }
+  const visibleIds = new Set(await findConnectedUserIds(req.user._id));
+  visibleIds.add(req.user._id.toString());
 
-    const users = await User.find({ _id: { $in: validIds } });
-    res.json(users);
-  } catch (error) {
-    console.error('Error fetching users:', error);
-    res.status(500).json({ message: 'Server Error', error });
-  }
-});
+  const ids = req.body.ids.map((id) => id.toLowerCase()).filter((id) => visibleIds.has(id));
+  const users = await User.find({ _id: { $in: ids }, ...ACTIVE_USER_FILTER }, DIRECTORY_FIELDS);
+
+  res.json(users.map(toDirectoryEntry));
+};
+
+usersRouter.post(
+  "/directory/lookup",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(lookupDirectory)
+);
 
 export default usersRouter;
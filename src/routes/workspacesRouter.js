@@ -0,0 +1,703 @@
+import express from "express";
+import mongoose from "mongoose";
+import createError from "../utils/error.js";
+import ctrlWrapper from "../utils/ctrlWrapper.js";
+import authMiddleware from "../middleware/auth.js";
+import { requireScope, requireSession } from "../middleware/scopes.js";
+import requireVerifiedEmail from "../middleware/requireVerifiedEmail.js";
+import authorizeWorkspace from "../middleware/workspaceAccess.js";
+import Workspace, {
+  createWorkspaceSchema,
+  updateWorkspaceSchema,
+  inviteWorkspaceMemberSchema,
+  updateWorkspaceMemberSchema,
+} from "../models/workspaceModel.js";
+import Board from "../models/boardModel.js";
+import User from "../models/userModel.js";
+import { getWorkspaceRole, hasWorkspacePermission } from "../utils/workspacePermissions.js";
+import {
+  deleteWorkspace,
+  findUserWorkspaces,
+  recordWorkspaceRoleChange,
+  unassignFromWorkspaceBoards,
+} from "../services/workspaces.js";
+import { getInvitationExpiry, isInvitationExpired } from "../services/invitations.js";
+
+const { isValidObjectId } = mongoose;
+
+const workspacesRouter = express.Router();
+
+// The user's invitation to the workspace, unless it expired
+const findPendingInvitation = (workspace, userId) =>
+  workspace.invitations.find(
+    (invitation) => invitation.userId.equals(userId) && !isInvitationExpired(invitation)
+  );
+
+// Workspace as sent to a member: pending invitations are only shown to admins
+const toWorkspaceResponse = (workspace, role) => {
+  const { invitations, ...data } = workspace.toObject();
+
+  return {
+    ...data,
+    ...(hasWorkspacePermission(role, "members:manage") && { invitations }),
+    currentUserRole: role,
+  };
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Workspaces
+ *   description: API for managing workspaces, which group boards and members
+ */
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   get:
+ *     summary: List the workspaces the user belongs to
+ *     tags: [Workspaces]
+ *     responses:
+ *       200:
+ *         description: Workspaces with the caller's role as currentUserRole
+ */
+const getUserWorkspaces = async (req, res) => {
+  const workspaces = await findUserWorkspaces(req.user._id);
+
+  res.json(
+    workspaces.map((workspace) =>
+      toWorkspaceResponse(workspace, getWorkspaceRole(workspace, req.user._id))
+    )
+  );
+};
+
+workspacesRouter.get(
+  "/",
+  authMiddleware,
+  requireScope("workspaces:read"),
+  ctrlWrapper(getUserWorkspaces)
+);
+
+/**
+ * @swagger
+ * /api/workspaces:
+ *   post:
+ *     summary: Create a workspace
+ *     tags: [Workspaces]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Workspace created, owned by the caller
+ *       400:
+ *         description: Validation error
+ */
+const createWorkspace = async (req, res) => {
+  const { error } = createWorkspaceSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { name, description } = req.body;
+  const workspace = await Workspace.create({
+    name,
+    description,
+    owner: req.user._id,
+  });
+
+  res.status(201).json(workspace);
+};
+
+workspacesRouter.post(
+  "/",
+  authMiddleware,
+  requireScope("workspaces:write"),
+  ctrlWrapper(createWorkspace)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/invitations:
+ *   get:
+ *     summary: List the workspaces the user is invited to
+ *     tags: [Workspaces]
+ *     responses:
+ *       200:
+ *         description: Workspaces with their owner, and the role and expiry of the pending invitation
+ */
+const getWorkspaceInvitations = async (req, res) => {
+  const workspaces = await Workspace.find(
+    { "invitations.userId": req.user._id },
+    "name description owner invitations"
+  ).populate("owner", "name avatarURL");
+
+  const invitations = workspaces.flatMap((workspace) => {
+    const invitation = findPendingInvitation(workspace, req.user._id);
+    if (!invitation) {
+      return [];
+    }
+
+    const { _id, name, description, owner } = workspace;
+    return [{ _id, name, description, owner, role: invitation.role, expiresAt: invitation.expiresAt }];
+  });
+
+  res.json(invitations);
+};
+
+workspacesRouter.get(
+  "/invitations",
+  authMiddleware,
+  requireScope("workspaces:read"),
+  ctrlWrapper(getWorkspaceInvitations)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   get:
+ *     summary: Get a workspace with its members
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The workspace, its owner and members, and the caller's role as currentUserRole. Admins also get the pending invitations
+ *       404:
+ *         description: Workspace not found
+ */
+const getWorkspace = async (req, res) => {
+  const workspace = await req.workspace.populate([
+    { path: "owner", select: "name email avatarURL" },
+    { path: "members.userId", select: "name avatarURL" },
+    { path: "invitations.userId", select: "name avatarURL" },
+  ]);
+
+  res.json(toWorkspaceResponse(workspace, req.workspaceRole));
+};
+
+workspacesRouter.get(
+  "/:workspaceId",
+  authMiddleware,
+  requireScope("workspaces:read"),
+  authorizeWorkspace("workspace:read"),
+  ctrlWrapper(getWorkspace)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   patch:
+ *     summary: Rename a workspace or change its description
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Workspace updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only workspace admins can update it
+ */
+const updateWorkspace = async (req, res) => {
+  const { error } = updateWorkspaceSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { name, description } = req.body;
+  const workspace = req.workspace;
+
+  if (name !== undefined) {
+    workspace.name = name;
+  }
+  if (description !== undefined) {
+    workspace.description = description;
+  }
+  await workspace.save();
+
+  res.json(workspace);
+};
+
+workspacesRouter.patch(
+  "/:workspaceId",
+  authMiddleware,
+  requireScope("workspaces:write"),
+  authorizeWorkspace("workspace:update"),
+  ctrlWrapper(updateWorkspace)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}:
+ *   delete:
+ *     summary: Delete a workspace
+ *     description: Its boards are kept and become private boards of their owners.
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Workspace deleted
+ *       403:
+ *         description: Only the owner can delete the workspace
+ */
+const removeWorkspace = async (req, res) => {
+  await deleteWorkspace(req.workspace);
+
+  res.json({ message: "Workspace deleted" });
+};
+
+workspacesRouter.delete(
+  "/:workspaceId",
+  authMiddleware,
+  requireScope("workspaces:write"),
+  authorizeWorkspace("workspace:delete"),
+  ctrlWrapper(removeWorkspace)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/boards:
+ *   get:
+ *     summary: List the boards of a workspace the user can open
+ *     description: Workspace-visible boards, plus private boards of the workspace the user is a member of
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: List of boards
+ *       404:
+ *         description: Workspace not found
+ */
+const getWorkspaceBoards = async (req, res) => {
+  const userId = req.user._id;
+
+  const boards = await Board.find({
+    workspace: req.workspace._id,
+    $or: [
+      { visibility: "workspace" },
+      { owner: userId },
+      { collaborators: userId },
+    ],
+  }).populate("collaborators", "name avatarURL");
+
+  res.json(boards);
+};
+
+workspacesRouter.get(
+  "/:workspaceId/boards",
+  authMiddleware,
+  requireScope("boards:read"),
+  authorizeWorkspace("workspace:read"),
+  ctrlWrapper(getWorkspaceBoards)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/invitations:
+ *   post:
+ *     summary: Invite a user to a workspace
+ *     description: The user becomes a member once they accept. Invitations expire after INVITATION_TTL_DAYS.
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       403:
+ *         description: Only workspace admins can invite, and only the owner can invite admins
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user is already a member or already invited
+ */
+const inviteWorkspaceMember = async (req, res) => {
+  const { error } = inviteWorkspaceMemberSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { userId, role = "member" } = req.body;
+  const workspace = req.workspace;
+
+  if (role === "admin" && req.workspaceRole !== "owner") {
+    throw createError(403, "Only the owner can invite admins");
+  }
+
+  if (!(await User.exists({ _id: userId }))) {
+    throw createError(404, "User not found");
+  }
+
+  if (getWorkspaceRole(workspace, userId)) {
+    throw createError(409, "The user is already a member of this workspace");
+  }
+
+  if (findPendingInvitation(workspace, userId)) {
+    throw createError(409, "There is already a pending invitation for this user");
+  }
+
+  // An expired invitation gets replaced
+  const expiresAt = getInvitationExpiry();
+  workspace.invitations = workspace.invitations.filter((item) => !item.userId.equals(userId));
+  workspace.invitations.push({ userId, role, invitedBy: req.user._id, expiresAt });
+  await workspace.save();
+
+  res.status(201).json({ message: "Invitation sent", userId, role, expiresAt });
+};
+
+workspacesRouter.post(
+  "/:workspaceId/invitations",
+  authMiddleware,
+  requireScope("workspaces:write"),
+  requireVerifiedEmail,
+  authorizeWorkspace("members:manage"),
+  ctrlWrapper(inviteWorkspaceMember)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/invitations/{userId}:
+ *   delete:
+ *     summary: Revoke a pending invitation to the workspace
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       403:
+ *         description: Only workspace admins can revoke invitations, and only the owner can revoke an admin invitation
+ *       404:
+ *         description: Invitation not found
+ */
+const revokeWorkspaceInvitation = async (req, res) => {
+  const { userId } = req.params;
+  const workspace = req.workspace;
+
+  const invitation = workspace.invitations.find((item) => item.userId.equals(userId));
+  if (!invitation) {
+    throw createError(404, "Invitation not found");
+  }
+
+  if (invitation.role === "admin" && req.workspaceRole !== "owner") {
+    throw createError(403, "Only the owner can revoke an admin invitation");
+  }
+
+  workspace.invitations = workspace.invitations.filter((item) => !item.userId.equals(userId));
+  await workspace.save();
+
+  res.json({ message: "Invitation revoked" });
+};
+
+workspacesRouter.delete(
+  "/:workspaceId/invitations/:userId",
+  authMiddleware,
+  requireScope("workspaces:write"),
+  authorizeWorkspace("members:manage"),
+  ctrlWrapper(revokeWorkspaceInvitation)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/invitations/accept:
+ *   post:
+ *     summary: Accept an invitation and join the workspace
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: The user is now a member, with the role of the invitation
+ *       404:
+ *         description: No pending invitation to this workspace
+ */
+const acceptWorkspaceInvitation = async (req, res) => {
+  const { workspaceId } = req.params;
+  const userId = req.user._id;
+
+  const workspace = isValidObjectId(workspaceId) && (await Workspace.findById(workspaceId));
+  const invitation = workspace && findPendingInvitation(workspace, userId);
+  if (!invitation) {
+    throw createError(404, "Invitation not found");
+  }
+
+  // Conditional, so accepting twice at once can't add the member twice
+  const { modifiedCount } = await Workspace.updateOne(
+    { _id: workspace._id, "invitations.userId": userId, "members.userId": { $ne: userId } },
+    {
+      $push: { members: { userId, role: invitation.role } },
+      $pull: { invitations: { userId } },
+    }
+  );
+  if (!modifiedCount) {
+    throw createError(404, "Invitation not found");
+  }
+
+  await recordWorkspaceRoleChange(workspace._id, userId, {
+    previousRole: null,
+    role: invitation.role,
+    actor: userId,
+    details: { invitedBy: invitation.invitedBy },
+  });
+
+  res.json({ message: "You joined the workspace", workspaceId, role: invitation.role });
+};
+
+workspacesRouter.post(
+  "/:workspaceId/invitations/accept",
+  authMiddleware,
+  requireSession,
+  requireVerifiedEmail,
+  ctrlWrapper(acceptWorkspaceInvitation)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/invitations/decline:
+ *   post:
+ *     summary: Decline an invitation to a workspace
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       404:
+ *         description: No invitation to this workspace
+ */
+const declineWorkspaceInvitation = async (req, res) => {
+  const { workspaceId } = req.params;
+  const userId = req.user._id;
+
+  const { modifiedCount } = isValidObjectId(workspaceId)
+    ? await Workspace.updateOne(
+        { _id: workspaceId, "invitations.userId": userId },
+        { $pull: { invitations: { userId } } }
+      )
+    : { modifiedCount: 0 };
+  if (!modifiedCount) {
+    throw createError(404, "Invitation not found");
+  }
+
+  res.json({ message: "Invitation declined" });
+};
+
+workspacesRouter.post(
+  "/:workspaceId/invitations/decline",
+  authMiddleware,
+  requireSession,
+  ctrlWrapper(declineWorkspaceInvitation)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role in the workspace
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Only workspace admins can change roles, and only the owner can grant or revoke admin
+ *       404:
+ *         description: The user is not a member of the workspace
+ */
+const updateWorkspaceMember = async (req, res) => {
+  const { error } = updateWorkspaceMemberSchema.validate(req.body);
+  if (error) {
+    throw createError(400, error.details[0].message);
+  }
+
+  const { userId } = req.params;
+  const { role } = req.body;
+  const workspace = req.workspace;
+
+  const member = workspace.members.find((item) => item.userId.equals(userId));
+  if (!member) {
+    throw createError(404, "The user is not a member of this workspace");
+  }
+
+  if ((role === "admin" || member.role === "admin") && req.workspaceRole !== "owner") {
+    throw createError(403, "Only the owner can grant or revoke the admin role");
+  }
+
+  const previousRole = member.role;
+  member.role = role;
+  await workspace.save();
+
+  await recordWorkspaceRoleChange(workspace._id, member.userId, {
+    previousRole,
+    role,
+    actor: req.user._id,
+  });
+
+  res.json({ message: "Role updated", userId, role });
+};
+
+workspacesRouter.patch(
+  "/:workspaceId/members/:userId",
+  authMiddleware,
+  requireScope("workspaces:write"),
+  authorizeWorkspace("members:manage"),
+  ctrlWrapper(updateWorkspaceMember)
+);
+
+/**
+ * @swagger
+ * /api/workspaces/{workspaceId}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from the workspace, or leave it
+ *     description: Any member can remove themselves. The owner cannot leave their own workspace.
+ *     tags: [Workspaces]
+ *     parameters:
+ *       - in: path
+ *         name: workspaceId
+ *         schema:
+ *           type: string
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       403:
+ *         description: Only workspace admins can remove other members, and only the owner can remove admins
+ *       404:
+ *         description: The user is not a member of the workspace
+ */
+const removeWorkspaceMember = async (req, res) => {
+  const { userId } = req.params;
+  const workspace = req.workspace;
+  const leaving = req.user._id.equals(userId);
+
+  const member = workspace.members.find((item) => item.userId.equals(userId));
+  if (!member) {
+    if (workspace.owner.equals(userId)) {
+      throw createError(409, "The owner cannot leave the workspace");
+    }
+    throw createError(404, "The user is not a member of this workspace");
+  }
+
+  if (!leaving) {
+    if (req.workspaceRole === "member") {
+      throw createError(403, "Only workspace admins can remove members");
+    }
+    if (member.role === "admin" && req.workspaceRole !== "owner") {
+      throw createError(403, "Only the owner can remove admins");
+    }
+  }
+
+  workspace.members = workspace.members.filter((item) => !item.userId.equals(userId));
+  await workspace.save();
+  await unassignFromWorkspaceBoards(workspace._id, userId);
+
+  await recordWorkspaceRoleChange(workspace._id, member.userId, {
+    previousRole: member.role,
+    role: null,
+    actor: req.user._id,
+  });
+
+  res.json({ message: leaving ? "You left the workspace" : "Member removed" });
+};
+
+workspacesRouter.delete(
+  "/:workspaceId/members/:userId",
+  authMiddleware,
+  requireScope("workspaces:write"),
+  authorizeWorkspace("workspace:read"),
+  ctrlWrapper(removeWorkspaceMember)
+);
+
+export default workspacesRouter;
@@ -1,6 +1,11 @@
 import mongoose from "mongoose";
 import dotenv from "dotenv";
 import app from "./app.js";
+import { startAccountDeletionJob } from "./jobs/accountDeletionJob.js";
+import { startPositionJob } from "./jobs/positionJob.js";
+import { migrateCardCollaborators } from "./services/cardAssignees.js";
+import { migrateUnverifiedAccounts } from "./utils/emailVerification.js";
+import { migrateEmailCase } from "./services/userDirectory.js";
 
 dotenv.config();
 
@@ -14,8 +19,13 @@ if (!DB_URI) {
 
 mongoose
   .connect(DB_URI)
-  .then(() =>
-    app.listen(PORT, () => console.log(`Server running on port ${PORT}`))
-  )
+  .then(async () => {
+    await migrateCardCollaborators();
+    await migrateUnverifiedAccounts();
+    await migrateEmailCase();
+    startAccountDeletionJob();
+    startPositionJob();
+    app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+  })
   .catch((error) => console.log(error.message));
 
@@ -0,0 +1,129 @@
+import cloudinary from "../config/cloudinary.js";
+import User from "../models/userModel.js";
+import Board from "../models/boardModel.js";
+import Session from "../models/sessionModel.js";
+import Invitation from "../models/InvitationModel.js";
+import AccessToken from "../models/accessTokenModel.js";
+import AuthCode from "../models/authCodeModel.js";
+import Comment from "../models/commentModel.js";
+import { deleteBoardWithContent } from "./boardCleanup.js";
+import { transferBoardOwnership } from "./boardMembers.js";
+import { removeUserFromWorkspaces } from "./workspaces.js";
+import { unassignUsers } from "./cardAssignees.js";
+import { recordAuditEvent, recordAuditEvents } from "./boardAudit.js";
+
+// "https://res.cloudinary.com/<cloud>/image/upload/v123/avatars/abc.jpg" -> "avatars/abc"
+const getCloudinaryPublicId = (url) => {
+  const match = /res\.cloudinary\.com\/.+\/upload\/(?:v\d+\/)?(.+)\.\w+$/.exec(url || "");
+  return match ? match[1] : null;
+};
+
+// Check a transfer plan ([{ boardId, newOwnerId }]) against the boards the
+// user owns. Returns an error message, or null when the plan is valid.
+export const validateTransfers = async (user, transfers = []) => {
+  for (const { boardId, newOwnerId } of transfers) {
+    const board = await Board.findOne({ _id: boardId, owner: user._id });
+
+    if (!board) {
+      return `You don't own board ${boardId}`;
+    }
+
+    if (!board.collaborators.some((id) => id.equals(newOwnerId))) {
+      return `The new owner of board ${boardId} must be one of its collaborators`;
+    }
+  }
+
+  return null;
+};
+
+// Remove the user and everything tied to them. Owned boards listed in
+// transfers go to the chosen collaborator, the others are deleted.
+export const deleteUserAccount = async (user, transfers = []) => {
+  const ownedBoards = await Board.find({ owner: user._id });
+
+  for (const board of ownedBoards) {
+    const transfer = transfers.find(({ boardId }) => board._id.equals(boardId));
+    const newOwner =
+      transfer && board.collaborators.find((id) => id.equals(transfer.newOwnerId));
+
+    if (newOwner) {
+      await transferBoardOwnership(board, newOwner, { keepPreviousOwner: false });
+    } else {
+      await deleteBoardWithContent(board._id);
+    }
+
+    await recordAuditEvent({
+      boardId: board._id,
+      action: newOwner ? "ownership.transferred" : "board.deleted",
+      actor: user._id,
+      target: newOwner,
+      details: newOwner
+        ? { previousOwner: user._id, reason: "accountDeleted" }
+        : { titleBoard: board.titleBoard, reason: "accountDeleted" },
+    });
+  }
+
+  // Before the direct memberships go, so the audit logs don't record leaving twice
+  await removeUserFromWorkspaces(user._id);
+
+  const memberBoards = await Board.find({ collaborators: user._id }, "_id");
+  await recordAuditEvents(
+    memberBoards.map((board) => ({
+      boardId: board._id,
+      action: "member.left",
+      actor: user._id,
+      target: user._id,
+      details: { reason: "accountDeleted" },
+    }))
+  );
+
+  await Board.updateMany(
+    { collaborators: user._id },
+    { $pull: { collaborators: user._id, memberRoles: { userId: user._id } } }
+  );
+  await Board.updateMany(
+    { "pendingTransfer.to": user._id },
+    { $unset: { pendingTransfer: "" } }
+  );
+  await unassignUsers({}, [user._id]);
+  await Comment.updateMany({ mentions: user._id }, { $pull: { mentions: user._id } });
+  // Their comments stay so discussions keep making sense, shown as a deleted user's
+  await Comment.updateMany(
+    { author: user._id },
+    { $set: { author: null, authorDeleted: true } }
+  );
+
+  await Promise.all([
+    Session.deleteMany({ uid: user._id }),
+    Invitation.deleteMany({ userId: user._id }),
+    AccessToken.deleteMany({ user: user._id }),
+    AuthCode.deleteMany({ uid: user._id }),
+  ]);
+
+  const publicId = getCloudinaryPublicId(user.avatarURL);
+  if (publicId) {
+    try {
+      await cloudinary.v2.uploader.destroy(publicId);
+    } catch (error) {
+      // A leftover image shouldn't block the deletion
+      console.error("Error deleting avatar from Cloudinary:", error);
+    }
+  }
+
+  await User.findByIdAndDelete(user._id);
+};
+
+// Run the deletions whose grace period is over
+export const processScheduledDeletions = async () => {
+  const users = await User.find({
+    "pendingDeletion.scheduledFor": { $lte: new Date() },
+  });
+
+  for (const user of users) {
+    try {
+      await deleteUserAccount(user, user.pendingDeletion.transfers);
+    } catch (error) {
+      console.error(`Error deleting account ${user._id}:`, error);
+    }
+  }
+};
@@ -0,0 +1,22 @@
+import BoardAuditLog from "../models/boardAuditLogModel.js";
+
+// Append an entry to the board's audit log. A failure is logged rather than
+// thrown: the change it describes has already been made.
+export const recordAuditEvent = async ({ boardId, action, actor, target, email, details }) => {
+  try {
+    await BoardAuditLog.create({
+      board: boardId,
+      action,
+      actor,
+      target,
+      email,
+      details,
+    });
+  } catch (error) {
+    console.error(`Error recording audit event ${action}:`, error);
+  }
+};
+
+// Same event for several users at once
+export const recordAuditEvents = (entries) =>
+  Promise.all(entries.map((entry) => recordAuditEvent(entry)));
@@ -0,0 +1,34 @@
+import Board from "../models/boardModel.js";
+import Column from "../models/columnModel.js";
+import Card from "../models/cardModel.js";
+import Invitation from "../models/InvitationModel.js";
+import Comment from "../models/commentModel.js";
+
+// Delete a column of the board with its cards, their checklists and their
+// comments. Returns null when the column isn't on the board.
+export const deleteColumnWithContent = async (boardId, columnId) => {
+  const column = await Column.findOneAndDelete({ _id: columnId, boardId });
+  if (!column) {
+    return null;
+  }
+
+  const cards = await Card.find({ columnId: column._id }, "_id");
+  await Promise.all([
+    Card.deleteMany({ columnId: column._id }),
+    Comment.deleteMany({ cardId: { $in: cards.map(({ _id }) => _id) } }),
+  ]);
+
+  return column;
+};
+
+// Delete a board together with everything that only exists because of it
+export const deleteBoardWithContent = async (boardId) => {
+  await Promise.all([
+    Card.deleteMany({ boardId }),
+    Column.deleteMany({ boardId }),
+    Invitation.deleteMany({ boardId }),
+    Comment.deleteMany({ boardId }),
+  ]);
+
+  return Board.findByIdAndDelete(boardId);
+};
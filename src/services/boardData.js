@@ -0,0 +1,87 @@
+import Board from "../models/boardModel.js";
+import Column from "../models/columnModel.js";
+import Card from "../models/cardModel.js";
+import { ASSIGNEE_FIELDS } from "./cardAssignees.js";
+import { POSITION_ORDER } from "./positions.js";
+
+// Board listings show how many checklist items are done (e.g. 3 of 7)
+// instead of the checklists themselves
+const withChecklistProgress = ({ checklists = [], ...card }) => {
+  const items = checklists.flatMap(({ items }) => items);
+
+  return {
+    ...card,
+    checklistProgress: {
+      done: items.filter(({ done }) => done).length,
+      total: items.length,
+    },
+  };
+};
+
+// Board with its columns and, inside each column, its cards. Returns null
+// when the board doesn't exist.
+export const buildBoardData = async (boardId, { priority } = {}) => {
+  // Find the board and populate collaborators
+  const board = await Board.findById(boardId).populate(
+    "collaborators",
+    "name avatarURL"
+  );
+  if (!board) {
+    return null;
+  }
+
+  // Get all columns for the board
+  const columns = await Column.find({ boardId }).sort(POSITION_ORDER);
+
+  // Get all cards for each column with optional priority filter
+  const columnsWithCards = await Promise.all(
+    columns.map(async (column) => {
+      const filter = { columnId: column._id };
+      if (priority) {
+        filter.priority = priority;
+      }
+      const cards = await Card.find(filter)
+        .sort(POSITION_ORDER)
+        .populate("assignees", ASSIGNEE_FIELDS);
+      return {
+        ...column.toObject(),
+        cards: cards.map((card) => withChecklistProgress(card.toObject())),
+      };
+    })
+  );
+
+  return {
+    ...board.toObject(),
+    columns: columnsWithCards,
+  };
+};
+
+const publicPerson = ({ name, avatarURL }) => ({ name, avatarURL });
+
+// Strip what only members should see: user ids and emails, roles, sharing
+// and workspace settings
+export const toPublicBoardData = (boardData) => {
+  const {
+    owner,
+    memberRoles,
+    pendingTransfer,
+    shareLink,
+    workspace,
+    visibility,
+    collaborators,
+    columns,
+    ...board
+  } = boardData;
+
+  return {
+    ...board,
+    collaborators: collaborators.map(publicPerson),
+    columns: columns.map(({ owner: columnOwner, cards, ...column }) => ({
+      ...column,
+      cards: cards.map(({ owner: cardOwner, assignees, ...card }) => ({
+        ...card,
+        assignees: assignees.map(publicPerson),
+      })),
+    })),
+  };
+};
@@ -0,0 +1,34 @@
+import { unassignUsers } from "./cardAssignees.js";
+
+// Take a user off a board: membership, role, pending ownership handover and
+// the cards of the board they were assigned to. Saves the board.
+export const removeMemberFromBoard = async (board, userId) => {
+  board.collaborators = board.collaborators.filter((id) => !id.equals(userId));
+  board.memberRoles = board.memberRoles.filter((entry) => !entry.userId.equals(userId));
+
+  if (board.pendingTransfer?.to?.equals(userId)) {
+    board.pendingTransfer = undefined;
+  }
+
+  await board.save();
+
+  await unassignUsers({ boardId: board._id }, [userId]);
+};
+
+// Make a collaborator the owner. The previous owner stays on the board as an admin.
+// Saves the board.
+export const transferBoardOwnership = async (board, newOwnerId, { keepPreviousOwner = true } = {}) => {
+  const previousOwner = board.owner;
+
+  board.owner = newOwnerId;
+  board.collaborators = board.collaborators.filter((id) => !id.equals(newOwnerId));
+  board.memberRoles = board.memberRoles.filter((entry) => !entry.userId.equals(newOwnerId));
+  board.pendingTransfer = undefined;
+
+  if (keepPreviousOwner) {
+    board.collaborators.push(previousOwner);
+    board.memberRoles.push({ userId: previousOwner, role: "admin" });
+  }
+
+  await board.save();
+};
@@ -0,0 +1,120 @@
+import Card from "../models/cardModel.js";
+import Workspace from "../models/workspaceModel.js";
+import { getBoardRole } from "../utils/boardPermissions.js";
+import { getWorkspaceRole } from "../utils/workspacePermissions.js";
+
+// Fields shown for assignees when cards are read
+export const ASSIGNEE_FIELDS = "name avatarURL";
+
+// Assignee ids from a card request body. Older clients still send
+// collaborators as { userId, name, avatarURL } objects.
+export const getRequestedAssignees = ({ assignees, collaborators }) => {
+  if (assignees) {
+    return assignees;
+  }
+
+  return collaborators && [...new Set(collaborators.map(({ userId }) => userId))];
+};
+
+// Predicate telling whether a user can open the board
+const loadBoardAccessCheck = async (board) => {
+  const workspace =
+    board.workspace && board.visibility === "workspace"
+      ? await Workspace.findById(board.workspace)
+      : null;
+
+  return (userId) => {
+    const workspaceRole = workspace && getWorkspaceRole(workspace, userId);
+    return Boolean(getBoardRole(board, userId, workspaceRole));
+  };
+};
+
+// First of the users who can't open the board, or undefined when all of them can
+export const findNonMemberAssignee = async (board, userIds) => {
+  const canOpenBoard = await loadBoardAccessCheck(board);
+  return userIds.find((userId) => !canOpenBoard(userId));
+};
+
+// Split assignees into those who can open the board and those who can't,
+// for cards moved or copied to another board
+export const partitionAssignees = async (board, userIds) => {
+  const canOpenBoard = await loadBoardAccessCheck(board);
+  return {
+    members: userIds.filter((userId) => canOpenBoard(userId)),
+    nonMembers: userIds.filter((userId) => !canOpenBoard(userId)),
+  };
+};
+
+// Users assigned to the card or to one of its checklist items
+export const getCardUserIds = (card) => {
+  const ids = [
+    ...card.assignees,
+    ...card.checklists.flatMap(({ items }) => items.map(({ assignee }) => assignee)),
+  ].filter(Boolean);
+
+  return ids.filter((id, index) => ids.findIndex((other) => other.equals(id)) === index);
+};
+
+// Assignees and checklists of the card with only the given users still
+// assigned, for a card moved or copied to another board. Copies get new
+// checklist and item ids.
+export const keepMemberAssignees = (card, memberIds, { copy = false } = {}) => {
+  const isMember = (id) => memberIds.some((memberId) => memberId.equals(id));
+  const withId = (subdoc) => {
+    const { _id, ...fields } = subdoc.toObject();
+    return copy ? fields : { _id, ...fields };
+  };
+
+  return {
+    assignees: card.assignees.filter(isMember),
+    checklists: card.checklists.map((checklist) => ({
+      ...withId(checklist),
+      items: checklist.items.map((item) => ({
+        ...withId(item),
+        assignee: item.assignee && isMember(item.assignee) ? item.assignee : undefined,
+      })),
+    })),
+  };
+};
+
+// Take users off the matching cards, both as card assignees and on checklist items
+export const unassignUsers = async (filter, userIds) => {
+  await Card.updateMany(
+    { ...filter, assignees: { $in: userIds } },
+    { $pull: { assignees: { $in: userIds } } }
+  );
+  await Card.updateMany(
+    { ...filter, "checklists.items.assignee": { $in: userIds } },
+    { $unset: { "checklists.$[].items.$[item].assignee": "" } },
+    { arrayFilters: [{ "item.assignee": { $in: userIds } }] }
+  );
+};
+
+// Cards stored before assignees existed keep the users of their collaborators
+export const migrateCardCollaborators = async () => {
+  const { modifiedCount } = await Card.collection.updateMany(
+    { collaborators: { $exists: true } },
+    [
+      {
+        $set: {
+          assignees: {
+            $setUnion: [
+              { $ifNull: ["$assignees", []] },
+              {
+                $map: {
+                  input: { $ifNull: ["$collaborators", []] },
+                  in: "$$this.userId",
+                },
+              },
+            ],
+          },
+        },
+      },
+      { $unset: "collaborators" },
+    ]
+  );
+
+  if (modifiedCount) {
+    console.log(`Moved the collaborators of ${modifiedCount} cards to assignees`);
+  }
+};
@@ -0,0 +1,54 @@
+import User from "../models/userModel.js";
+import Workspace from "../models/workspaceModel.js";
+import { ACTIVE_USER_FILTER } from "./userDirectory.js";
+import { escapeRegExp } from "../utils/validators.js";
+
+// Fields shown for comment authors and mentioned users
+export const COMMENT_USER_FIELDS = "name avatarURL";
+
+// Ids of everyone who can open the board, including its workspace members
+// when the board is shared with the workspace
+const findBoardMemberIds = async (board) => {
+  const ids = [board.owner, ...board.collaborators];
+
+  if (board.workspace && board.visibility === "workspace") {
+    const workspace = await Workspace.findById(board.workspace, "owner members");
+    if (workspace) {
+      ids.push(workspace.owner, ...workspace.members.map(({ userId }) => userId));
+    }
+  }
+
+  return ids;
+};
+
+// Board members mentioned in the text as @name, ignoring case. Longer names
+// are matched first, so "@Ann Lee" mentions Ann Lee and not a member named Ann.
+export const resolveMentions = async (board, text) => {
+  if (!text.includes("@")) {
+    return [];
+  }
+
+  const members = await User.find(
+    { _id: { $in: await findBoardMemberIds(board) }, ...ACTIVE_USER_FILTER },
+    "name"
+  );
+  members.sort((a, b) => (b.name || "").length - (a.name || "").length);
+
+  let remaining = text;
+  const mentions = [];
+  for (const member of members) {
+    if (!member.name) {
+      continue;
+    }
+
+    // The name must not run on into a longer word, e.g. "@Ann" in "@Anna"
+    const pattern = new RegExp(`@${escapeRegExp(member.name)}(?![\\p{L}\\p{N}_])`, "giu");
+    const unmentioned = remaining.replace(pattern, " ");
+    if (unmentioned !== remaining) {
+      mentions.push(member._id);
+      remaining = unmentioned;
+    }
+  }
+
+  return mentions;
+};
@@ -0,0 +1,83 @@
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import Invitation from "../models/InvitationModel.js";
+import sendEmail from "../utils/sendEmail.js";
+import { hashToken } from "../utils/tokens.js";
+
+dotenv.config();
+
+const { SECRET_KEY, FRONT_URL } = process.env;
+
+const INVITE_PURPOSE = "board-invite";
+
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getInvitationExpiry = () =>
+  new Date(Date.now() + INVITATION_TTL_DAYS * DAY_MS);
+
+// Filter for invitations that can still be accepted
+export const activeInvitationFilter = () => ({
+  status: "pending",
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+// Flag pending invitations past their expiry date so listings show them as expired
+export const expireStaleInvitations = (filter = {}) =>
+  Invitation.updateMany(
+    { ...filter, status: "pending", expiresAt: { $lte: new Date() } },
+    { $set: { status: "expired" } }
+  );
+
+export const isInvitationExpired = (invitation) =>
+  Boolean(invitation.expiresAt) && invitation.expiresAt <= new Date();
+
+// Signed token for invitations sent to an email address. Only its hash is
+// stored on the invitation, so a leaked database can't be used to accept.
+// The caller saves the invitation.
+export const createInvitationToken = (invitation) => {
+  const token = jwt.sign(
+    { iid: invitation._id, email: invitation.email, purpose: INVITE_PURPOSE },
+    SECRET_KEY
+  );
+
+  invitation.tokenHash = hashToken(token);
+
+  return token;
+};
+
+// Returns the pending invitation the token was issued for, or null
+export const findInvitationByToken = async (token) => {
+  try {
+    const payload = jwt.verify(token, SECRET_KEY);
+    if (payload.purpose !== INVITE_PURPOSE) {
+      return null;
+    }
+  } catch (error) {
+    return null;
+  }
+
+  return Invitation.findOne({ tokenHash: hashToken(token), ...activeInvitationFilter() });
+};
+
+export const sendInvitationEmail = async (invitation, token, board, inviter) => {
+  const link = `${FRONT_URL}#/register?invitation=${token}`;
+
+  await sendEmail({
+    to: invitation.email,
+    subject: `${inviter.name} invited you to "${board.titleBoard}" on TaskPro`,
+    text: `Hi,\n\n${inviter.name} (${inviter.email}) invited you to collaborate on the board "${board.titleBoard}".\n\nCreate your TaskPro account with this email address to join:\n${link}\n\nIf you already have an account, sign in and the invitation will be waiting for you.`,
+  });
+};
+
+// Hand the invitations sent to the user's (verified) address over to their account
+export const attachPendingInvitations = async (user) => {
+  if (!user.verified) {
+    return;
+  }
+
+  await Invitation.updateMany(
+    { ...activeInvitationFilter(), email: user.email.toLowerCase(), userId: null },
+    { $set: { userId: user._id } }
+  );
+};
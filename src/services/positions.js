@@ -0,0 +1,145 @@
+import dotenv from "dotenv";
+import Card from "../models/cardModel.js";
+import Column from "../models/columnModel.js";
+import { generateEvenKeys, generateKeyBetween } from "../utils/fractionalIndex.js";
+
+dotenv.config();
+
+// Lists with a longer key get evenly spread keys again
+const POSITION_MAX_LENGTH = Number(process.env.POSITION_MAX_LENGTH) || 24;
+
+// Display order of cards in a column and of columns on a board. Documents
+// stored before positions existed have none and keep their creation order
+// until their list is rebalanced.
+export const POSITION_ORDER = { position: 1, createdAt: 1, _id: 1 };
+
+// Write the given keys to the documents, without touching updatedAt
+const writePositions = (Model, ids, keys) =>
+  Model.bulkWrite(
+    ids.map((_id, index) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $set: { position: keys[index] } },
+        timestamps: false,
+      },
+    }))
+  );
+
+// Give every document of the list (e.g. { columnId } for cards) a fresh,
+// short position, keeping their order
+export const rebalancePositions = async (Model, list) => {
+  const docs = await Model.find(list, "_id").sort(POSITION_ORDER);
+  if (!docs.length) {
+    return 0;
+  }
+
+  await writePositions(
+    Model,
+    docs.map(({ _id }) => _id),
+    generateEvenKeys(docs.length)
+  );
+  return docs.length;
+};
+
+// Store ids in that order, as the complete order of their list
+export const setPositions = (Model, ids) =>
+  writePositions(Model, ids, generateEvenKeys(ids.length));
+
+// The list without the document being placed, if it is already in it
+const otherDocuments = (list, id) => (id ? { ...list, _id: { $ne: id } } : list);
+
+// Position after the last document of the list
+export const getEndPosition = async (Model, list, excludeId) => {
+  const last = await Model.findOne(
+    { ...otherDocuments(list, excludeId), position: { $type: "string" } },
+    "position"
+  ).sort({ position: -1, _id: -1 });
+
+  return generateKeyBetween(last?.position ?? null, null);
+};
+
+// Position for the document id between beforeId and afterId of the list.
+// Either neighbour can be left out: the other side is then its current
+// neighbour in the list, and without both the document goes last.
+// Returns null when a neighbour isn't in the list or they are out of order.
+export const getPositionBetween = async (
+  Model,
+  list,
+  { id, beforeId, afterId },
+  canRebalance = true
+) => {
+  if (!beforeId && !afterId) {
+    return getEndPosition(Model, list, id);
+  }
+
+  const others = otherDocuments(list, id);
+  const findNeighbour = (neighbourId) =>
+    String(neighbourId) === String(id)
+      ? null
+      : Model.findOne({ ...list, _id: neighbourId }, "position");
+
+  let before = beforeId ? await findNeighbour(beforeId) : null;
+  let after = afterId ? await findNeighbour(afterId) : null;
+  if ((beforeId && !before) || (afterId && !after)) {
+    return null;
+  }
+
+  if ([before, after].every((doc) => !doc || doc.position)) {
+    if (!afterId) {
+      after = await Model.findOne(
+        { ...others, position: { $gt: before.position } },
+        "position"
+      ).sort(POSITION_ORDER);
+    } else if (!beforeId) {
+      before = await Model.findOne(
+        { ...others, position: { $lt: after.position } },
+        "position"
+      ).sort({ position: -1, _id: -1 });
+    }
+
+    try {
+      return generateKeyBetween(before?.position ?? null, after?.position ?? null);
+    } catch (error) {
+      // Equal keys, e.g. two documents added at the same moment
+    }
+  }
+
+  if (!canRebalance) {
+    return null;
+  }
+
+  await rebalancePositions(Model, list);
+  return getPositionBetween(Model, list, { id, beforeId, afterId }, false);
+};
+
+// Rebalance the lists that have documents with too long or missing positions
+const rebalanceLists = async (Model, listField) => {
+  const listIds = await Model.distinct(listField, {
+    $or: [
+      { position: { $not: { $type: "string" } } },
+      {
+        $expr: {
+          $gt: [{ $strLenCP: { $ifNull: ["$position", ""] } }, POSITION_MAX_LENGTH],
+        },
+      },
+    ],
+  });
+
+  let count = 0;
+  for (const listId of listIds) {
+    count += await rebalancePositions(Model, { [listField]: listId });
+  }
+  return { lists: listIds.length, count };
+};
+
+export const rebalanceAllPositions = async () => {
+  const cards = await rebalanceLists(Card, "columnId");
+  const columns = await rebalanceLists(Column, "boardId");
+
+  if (cards.lists || columns.lists) {
+    console.log(
+      `Rebalanced the positions of ${cards.count} cards in ${cards.lists} columns` +
+        ` and ${columns.count} columns on ${columns.lists} boards`
+    );
+  }
+};
@@ -0,0 +1,70 @@
+import User from "../models/userModel.js";
+import Board from "../models/boardModel.js";
+import { findUserWorkspaces, visibleBoardsFilter } from "./workspaces.js";
+
+// The only user fields the directory ever returns
+export const DIRECTORY_FIELDS = "name avatarURL";
+
+export const toDirectoryEntry = (user) => ({
+  id: user._id,
+  name: user.name,
+  avatarURL: user.avatarURL,
+});
+
+// Ids of the users who share a board or a workspace with the user, without the user
+export const findConnectedUserIds = async (userId) => {
+  const workspaces = await findUserWorkspaces(userId);
+  const boards = await Board.find(
+    visibleBoardsFilter(userId, workspaces.map(({ _id }) => _id)),
+    "owner collaborators"
+  );
+
+  const ids = new Set();
+  for (const workspace of workspaces) {
+    ids.add(workspace.owner.toString());
+    workspace.members.forEach((member) => ids.add(member.userId.toString()));
+  }
+  for (const board of boards) {
+    ids.add(board.owner.toString());
+    board.collaborators.forEach((id) => ids.add(id.toString()));
+  }
+  ids.delete(userId.toString());
+
+  return [...ids];
+};
+
+// Disabled accounts don't show up in the directory
+export const ACTIVE_USER_FILTER = { "disabled.at": { $exists: false } };
+
+// Exact email match, the only way to find someone outside the user's boards and workspaces
+export const findUserByExactEmail = (email) =>
+  User.findOne({ email, ...ACTIVE_USER_FILTER }, DIRECTORY_FIELDS);
+
+// Emails used to be stored with the case they were typed in. Lowercase them
+// so exact matches find every account. An address that only differs by case
+// from another account's is left as it is and logged for a manual fix.
+export const migrateEmailCase = async () => {
+  const users = await User.collection
+    .find(
+      { $expr: { $ne: ["$email", { $toLower: "$email" }] } },
+      { projection: { email: 1 } }
+    )
+    .toArray();
+
+  let count = 0;
+  for (const { _id, email } of users) {
+    try {
+      await User.collection.updateOne({ _id }, { $set: { email: email.toLowerCase() } });
+      count++;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      console.error(`The email of account ${_id} only differs by case from another account`);
+    }
+  }
+
+  if (count) {
+    console.log(`Lowercased the email of ${count} accounts`);
+  }
+};
@@ -0,0 +1,183 @@
+import Workspace from "../models/workspaceModel.js";
+import Board from "../models/boardModel.js";
+import { getBoardRole } from "../utils/boardPermissions.js";
+import { getWorkspaceRole } from "../utils/workspacePermissions.js";
+import { unassignUsers } from "./cardAssignees.js";
+import { recordAuditEvents } from "./boardAudit.js";
+
+// Role of the user on the board, counting access through the board's workspace
+export const resolveBoardRole = async (board, userId) => {
+  if (!board.workspace || board.visibility !== "workspace") {
+    return getBoardRole(board, userId);
+  }
+
+  const workspace = await Workspace.findById(board.workspace);
+  const workspaceRole = workspace && getWorkspaceRole(workspace, userId);
+
+  return getBoardRole(board, userId, workspaceRole);
+};
+
+// Workspaces the user owns or belongs to
+export const findUserWorkspaces = (userId) =>
+  Workspace.find({ $or: [{ owner: userId }, { "members.userId": userId }] });
+
+// Query for the boards the user can open: their own boards, the boards they
+// collaborate on, and the workspace-visible boards of their workspaces
+export const visibleBoardsFilter = (userId, workspaceIds) => ({
+  $or: [
+    { owner: userId },
+    { collaborators: userId },
+    { workspace: { $in: workspaceIds }, visibility: "workspace" },
+  ],
+});
+
+// Record a change of the user's workspace role (null when not a member) in the
+// audit log of each workspace-visible board where it changes their board role
+export const recordWorkspaceRoleChange = async (
+  workspaceId,
+  userId,
+  { previousRole, role, actor, details }
+) => {
+  const boards = await Board.find({ workspace: workspaceId, visibility: "workspace" });
+
+  const entries = [];
+  for (const board of boards) {
+    const before = getBoardRole(board, userId, previousRole);
+    const after = getBoardRole(board, userId, role);
+    if (before === after) {
+      continue;
+    }
+
+    let action = "member.roleChanged";
+    if (!before) {
+      action = "member.added";
+    } else if (!after) {
+      action = actor?.equals(userId) ? "member.left" : "member.removed";
+    }
+
+    entries.push({
+      boardId: board._id,
+      action,
+      actor,
+      target: userId,
+      details: {
+        workspaceId,
+        ...(before && after && { role: after, previousRole: before }),
+        ...details,
+      },
+    });
+  }
+
+  await recordAuditEvents(entries);
+};
+
+// After a user leaves a workspace, unassign them from the cards of the
+// workspace-visible boards they could only open through the workspace
+export const unassignFromWorkspaceBoards = async (workspaceId, userId) => {
+  const boards = await Board.find(
+    {
+      workspace: workspaceId,
+      visibility: "workspace",
+      owner: { $ne: userId },
+      collaborators: { $ne: userId },
+    },
+    "_id"
+  );
+
+  await unassignUsers({ boardId: { $in: boards.map(({ _id }) => _id) } }, [userId]);
+};
+
+// After boards stop being visible to the workspace (boards as they are now),
+// unassign the workspace's users from the cards of those they can't open anymore
+export const unassignFormerWorkspaceUsers = async (workspace, boards) => {
+  if (!workspace) {
+    return;
+  }
+
+  const workspaceUsers = [workspace.owner, ...workspace.members.map(({ userId }) => userId)];
+
+  for (const board of boards) {
+    const userIds = [];
+    for (const userId of workspaceUsers) {
+      if (!(await resolveBoardRole(board, userId))) {
+        userIds.push(userId);
+      }
+    }
+
+    if (userIds.length) {
+      await unassignUsers({ boardId: board._id }, userIds);
+    }
+  }
+};
+
+// Boards outlive their workspace: they go back to being private boards
+export const deleteWorkspace = async (workspace) => {
+  const sharedBoards = await Board.find(
+    { workspace: workspace._id, visibility: "workspace" },
+    "_id"
+  );
+
+  await Board.updateMany(
+    { workspace: workspace._id },
+    { $set: { workspace: null, visibility: "private" } }
+  );
+
+  await unassignFormerWorkspaceUsers(
+    workspace,
+    await Board.find({ _id: { $in: sharedBoards.map(({ _id }) => _id) } })
+  );
+
+  await Workspace.findByIdAndDelete(workspace._id);
+};
+
+// Take a deleted user out of every workspace. Workspaces they own go to an
+// admin, or any member when there is none, and are deleted when empty.
+export const removeUserFromWorkspaces = async (userId) => {
+  const memberWorkspaces = await Workspace.find({ "members.userId": userId });
+  for (const workspace of memberWorkspaces) {
+    await recordWorkspaceRoleChange(workspace._id, userId, {
+      previousRole: getWorkspaceRole(workspace, userId),
+      role: null,
+      actor: userId,
+      details: { reason: "accountDeleted" },
+    });
+  }
+
+  const ownedWorkspaces = await Workspace.find({ owner: userId });
+
+  for (const workspace of ownedWorkspaces) {
+    const heir =
+      workspace.members.find((member) => member.role === "admin") || workspace.members[0];
+
+    if (!heir) {
+      await deleteWorkspace(workspace);
+      continue;
+    }
+
+    workspace.owner = heir.userId;
+    workspace.members = workspace.members.filter((member) => !member.userId.equals(heir.userId));
+    await workspace.save();
+
+    await recordWorkspaceRoleChange(workspace._id, userId, {
+      previousRole: "owner",
+      role: null,
+      actor: userId,
+      details: { reason: "accountDeleted" },
+    });
+    await recordWorkspaceRoleChange(workspace._id, heir.userId, {
+      previousRole: heir.role,
+      role: "owner",
+      actor: null,
+      details: { reason: "accountDeleted" },
+    });
+  }
+
+  await Workspace.updateMany(
+    { "members.userId": userId },
+    { $pull: { members: { userId } } }
+  );
+  await Workspace.updateMany(
+    { "invitations.userId": userId },
+    { $pull: { invitations: { userId } } }
+  );
+};
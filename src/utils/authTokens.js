@@ -0,0 +1,168 @@
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import createError from "./error.js";
+import Session from "../models/sessionModel.js";
+import { hashToken } from "./tokens.js";
+
+dotenv.config();
+
+const ACCESS_TOKEN_SECRET = process.env.ACCESS_TOKEN_SECRET || process.env.SECRET_KEY;
+const { REFRESH_TOKEN_SECRET } = process.env;
+
+if (!REFRESH_TOKEN_SECRET || REFRESH_TOKEN_SECRET === ACCESS_TOKEN_SECRET) {
+  throw new Error(
+    "REFRESH_TOKEN_SECRET must be defined and differ from the access token secret"
+  );
+}
+
+const ACCESS_AUDIENCE = "taskpro:access";
+const REFRESH_AUDIENCE = "taskpro:refresh";
+const MFA_AUDIENCE = "taskpro:mfa";
+const OAUTH_STATE_AUDIENCE = "taskpro:oauth-state";
+const OAUTH_LINK_AUDIENCE = "taskpro:oauth-link";
+
+const ACCESS_TOKEN_TTL = "20h";
+const REFRESH_TOKEN_TTL = "7d";
+const MFA_TOKEN_TTL = "5m";
+const OAUTH_STATE_TTL = "10m";
+const OAUTH_LINK_TTL = "2m";
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // matches REFRESH_TOKEN_TTL
+
+export const verifyAccessToken = (token) =>
+  jwt.verify(token, ACCESS_TOKEN_SECRET, { audience: ACCESS_AUDIENCE });
+
+export const verifyRefreshToken = (token) =>
+  jwt.verify(token, REFRESH_TOKEN_SECRET, { audience: REFRESH_AUDIENCE });
+
+// Short-lived proof that the first factor succeeded; it can only be
+// exchanged for a session at /api/auth/login/2fa
+export const signMfaToken = (user) =>
+  jwt.sign({ id: user._id }, ACCESS_TOKEN_SECRET, {
+    expiresIn: MFA_TOKEN_TTL,
+    audience: MFA_AUDIENCE,
+  });
+
+export const verifyMfaToken = (token) =>
+  jwt.verify(token, ACCESS_TOKEN_SECRET, { audience: MFA_AUDIENCE });
+
+// `state` parameter of an OAuth redirect. The nonce is also kept in a cookie,
+// which ties the callback to the browser that started the flow.
+export const signOAuthState = (payload) =>
+  jwt.sign(payload, ACCESS_TOKEN_SECRET, {
+    expiresIn: OAUTH_STATE_TTL,
+    audience: OAUTH_STATE_AUDIENCE,
+  });
+
+export const verifyOAuthState = (token) =>
+  jwt.verify(token, ACCESS_TOKEN_SECRET, { audience: OAUTH_STATE_AUDIENCE });
+
+// Lets a signed-in user start a linking flow with a plain browser navigation
+export const signLinkTicket = (user) =>
+  jwt.sign({ id: user._id }, ACCESS_TOKEN_SECRET, {
+    expiresIn: OAUTH_LINK_TTL,
+    audience: OAUTH_LINK_AUDIENCE,
+  });
+
+export const verifyLinkTicket = (token) =>
+  jwt.verify(token, ACCESS_TOKEN_SECRET, { audience: OAUTH_LINK_AUDIENCE });
+
+// Sign a new token pair for the session and remember the refresh token hash,
+// which makes every previously issued refresh token of the session unusable
+const issueTokens = async (session) => {
+  const payload = { id: session.uid, sid: session._id };
+
+  const token = jwt.sign(payload, ACCESS_TOKEN_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+    audience: ACCESS_AUDIENCE,
+  });
+  const refreshToken = jwt.sign(
+    { ...payload, fam: session.family },
+    REFRESH_TOKEN_SECRET,
+    {
+      expiresIn: REFRESH_TOKEN_TTL,
+      audience: REFRESH_AUDIENCE,
+      jwtid: crypto.randomUUID(), // keeps tokens unique even within the same second
+    }
+  );
+
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await session.save();
+
+  return { token, refreshToken };
+};
+
+// Start a new session (and token family) for the user, remembering the
+// device it was opened from so it can be shown in the sessions list
+export const createSession = async (user, req) => {
+  // Every sign-in path ends here, so this also covers OAuth and 2FA logins
+  if (user.disabled?.at) {
+    throw createError(403, "This account has been disabled");
+  }
+
+  const session = new Session({
+    uid: user._id,
+    family: crypto.randomUUID(),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+  });
+
+  const tokens = await issueTokens(session);
+
+  return { session, ...tokens };
+};
+
+// A valid refresh token that isn't the current one of its session was
+// already rotated, which means it leaked: revoke its whole family
+const revokeReusedToken = async (payload) => {
+  if (payload.fam) {
+    await Session.deleteMany({ family: payload.fam });
+  }
+  throw createError(403, "Invalid refresh token");
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated means it leaked, so the whole family gets revoked.
+export const rotateRefreshToken = async (requestToken) => {
+  let payload;
+  try {
+    payload = verifyRefreshToken(requestToken);
+  } catch (error) {
+    throw createError(403, "Invalid refresh token");
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { _id: payload.sid, refreshTokenHash: hashToken(requestToken) },
+    { $unset: { refreshTokenHash: 1 } },
+    { new: true }
+  );
+
+  if (!session) {
+    await revokeReusedToken(payload);
+  }
+
+  session.lastUsedAt = new Date();
+
+  return { session, ...(await issueTokens(session)) };
+};
+
+// End the session of a refresh token. Like a refresh, only the current token
+// of the session is accepted, and an already rotated one revokes the family.
+export const endSession = async (requestToken) => {
+  let payload;
+  try {
+    payload = verifyRefreshToken(requestToken);
+  } catch (error) {
+    throw createError(403, "Invalid refresh token");
+  }
+
+  const session = await Session.findOneAndDelete({
+    _id: payload.sid,
+    refreshTokenHash: hashToken(requestToken),
+  });
+
+  if (!session) {
+    await revokeReusedToken(payload);
+  }
+};
@@ -0,0 +1,60 @@
+// Roles on a board, from the least to the most privileged
+export const BOARD_ROLES = ["viewer", "commenter", "editor", "admin", "owner"];
+
+// Collaborators added before roles existed keep full editing rights
+export const DEFAULT_MEMBER_ROLE = "editor";
+
+// Minimum role needed for each action
+const ACTION_ROLES = {
+  "board:read": "viewer",
+  "comments:write": "commenter",
+  "columns:write": "editor",
+  "cards:write": "editor",
+  "board:update": "admin",
+  "members:manage": "admin",
+  "board:share": "admin",
+  "board:delete": "owner",
+  "board:transfer": "owner",
+};
+
+// Board role that members of the board's workspace get on workspace-visible boards
+const WORKSPACE_BOARD_ROLES = {
+  member: DEFAULT_MEMBER_ROLE,
+  admin: "admin",
+  owner: "admin",
+};
+
+const higherRole = (a, b) =>
+  BOARD_ROLES.indexOf(a) >= BOARD_ROLES.indexOf(b) ? a : b;
+
+// Role the user was given on the board itself, or null when they are not a member
+const getMemberRole = (board, userId) => {
+  if (board.owner.equals(userId)) {
+    return "owner";
+  }
+
+  if (!board.collaborators.some((id) => id.equals(userId))) {
+    return null;
+  }
+
+  const entry = board.memberRoles.find((item) => item.userId.equals(userId));
+  return entry ? entry.role : DEFAULT_MEMBER_ROLE;
+};
+
+// Role of the user on the board, or null when they have no access. Pass the
+// user's role in the board's workspace to count access through the workspace;
+// without it only the board's own members are considered.
+export const getBoardRole = (board, userId, workspaceRole = null) => {
+  const memberRole = getMemberRole(board, userId);
+
+  if (!workspaceRole || board.visibility !== "workspace") {
+    return memberRole;
+  }
+
+  const inheritedRole = WORKSPACE_BOARD_ROLES[workspaceRole];
+  return memberRole ? higherRole(memberRole, inheritedRole) : inheritedRole;
+};
+
+export const hasBoardPermission = (role, action) =>
+  Boolean(role) &&
+  BOARD_ROLES.indexOf(role) >= BOARD_ROLES.indexOf(ACTION_ROLES[action]);
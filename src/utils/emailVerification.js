@@ -0,0 +1,51 @@
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+import sendEmail from "./sendEmail.js";
+import User from "../models/userModel.js";
+
+dotenv.config();
+
+const { SECRET_KEY, BACKEND_URL } = process.env;
+
+const VERIFY_PURPOSE = "verify-email";
+
+// The email is part of the payload so a token stops working once the address changes
+export const createVerificationToken = (user) =>
+  jwt.sign(
+    { id: user._id, email: user.email, purpose: VERIFY_PURPOSE },
+    SECRET_KEY,
+    { expiresIn: "24h" }
+  );
+
+// Returns the payload of a valid verification token, or null
+export const readVerificationToken = (token) => {
+  try {
+    const payload = jwt.verify(token, SECRET_KEY);
+    return payload.purpose === VERIFY_PURPOSE ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const sendVerificationEmail = async (user) => {
+  const link = `${BACKEND_URL}/api/auth/verify/${createVerificationToken(user)}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: "Confirm your TaskPro email address",
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n${link}\n\nThe link expires in 24 hours.`,
+  });
+};
+
+// Accounts created before email verification existed have no verified flag.
+// They count as verified, so the policy doesn't lock them out.
+export const migrateUnverifiedAccounts = async () => {
+  const { modifiedCount } = await User.collection.updateMany(
+    { verified: { $exists: false } },
+    { $set: { verified: true } }
+  );
+
+  if (modifiedCount) {
+    console.log(`Marked ${modifiedCount} existing accounts as verified`);
+  }
+};
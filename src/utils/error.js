@@ -4,6 +4,7 @@ const errorList = {
     403: "Forbidden",
     404: "Not found",
     409: "Conflict",
+    429: "Too many requests",
 };
 
 const createError = (status, message = errorList[status]) => {
@@ -0,0 +1,105 @@
+// Fractional indexing: order keys are base 62 strings compared as plain
+// strings, so an item can always get a key between its two neighbours and a
+// move only rewrites the moved item. A key never ends with the smallest digit,
+// otherwise nothing would fit right before it.
+const DIGITS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+const BASE = DIGITS.length;
+const ZERO = DIGITS[0];
+const LAST = DIGITS[BASE - 1];
+
+const digitValue = (char) => DIGITS.indexOf(char);
+
+// Key strictly between a and b. a may be "" (start) and b null (end).
+const midpoint = (a, b) => {
+  if (b !== null) {
+    // Keep the common prefix and look for room after it
+    let n = 0;
+    while ((a[n] || ZERO) === b[n]) {
+      n++;
+    }
+    if (n > 0) {
+      return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+    }
+  }
+
+  const digitA = a ? digitValue(a[0]) : 0;
+  const digitB = b !== null ? digitValue(b[0]) : BASE;
+
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+
+  // Consecutive digits: b's first digit alone is already between them
+  if (b !== null && b.length > 1) {
+    return b.slice(0, 1);
+  }
+
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+// Shortest key after a: bump the first digit that can still grow
+const keyAfter = (a) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== LAST) {
+      return a.slice(0, i) + DIGITS[digitValue(a[i]) + 1];
+    }
+  }
+  return a + midpoint("", null);
+};
+
+const keyBefore = (b) => {
+  const first = digitValue(b[0]);
+  return first > 1 ? DIGITS[first - 1] : midpoint("", b);
+};
+
+const isValidKey = (key) =>
+  typeof key === "string" &&
+  key.length > 0 &&
+  !key.endsWith(ZERO) &&
+  [...key].every((char) => DIGITS.includes(char));
+
+// Key that sorts after `before` and before `after`. Either can be null for
+// the start or the end of the list. Throws when before >= after.
+export const generateKeyBetween = (before = null, after = null) => {
+  for (const key of [before, after]) {
+    if (key !== null && !isValidKey(key)) {
+      throw new Error(`Invalid order key: ${key}`);
+    }
+  }
+
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Order key ${before} is not before ${after}`);
+  }
+
+  if (before === null && after === null) {
+    return midpoint("", null);
+  }
+  if (after === null) {
+    return keyAfter(before);
+  }
+  if (before === null) {
+    return keyBefore(after);
+  }
+  return midpoint(before, after);
+};
+
+// count evenly spread keys of the same (shortest possible) length, used to
+// rebalance a list whose keys grew too long
+export const generateEvenKeys = (count) => {
+  let length = 1;
+  while (BASE ** length <= count) {
+    length++;
+  }
+
+  const keys = [];
+  for (let i = 1; i <= count; i++) {
+    let value = Math.floor((i * BASE ** length) / (count + 1));
+    let key = "";
+    for (let j = 0; j < length; j++) {
+      key = DIGITS[value % BASE] + key;
+      value = Math.floor(value / BASE);
+    }
+    keys.push(key.replace(/0+$/, ""));
+  }
+  return keys;
+};
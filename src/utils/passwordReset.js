@@ -0,0 +1,33 @@
+import dotenv from "dotenv";
+import sendEmail from "./sendEmail.js";
+import { generateToken, hashToken } from "./tokens.js";
+
+dotenv.config();
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Store a fresh reset token on the user and email the link to them.
+// Any previously issued reset token stops working. Pass forced when an
+// administrator asked for the reset rather than the user.
+export const sendPasswordResetEmail = async (user, { forced = false } = {}) => {
+  const token = generateToken();
+
+  user.passwordResetToken = hashToken(token);
+  user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+  await user.save();
+
+  const link = `${process.env.FRONT_URL}#/reset-password?token=${token}`;
+
+  const intro = forced
+    ? "For your security, a TaskPro administrator has reset your password and signed you out everywhere. Open the link below to choose a new one:"
+    : "We received a request to reset your password. Open the link below to choose a new one:";
+  const outro = forced
+    ? "The link expires in 1 hour. You can ask for a new one from the sign-in page at any time."
+    : "The link expires in 1 hour. If you didn't ask for this, you can ignore this email.";
+
+  await sendEmail({
+    to: user.email,
+    subject: "Reset your TaskPro password",
+    text: `Hi ${user.name},\n\n${intro}\n${link}\n\n${outro}`,
+  });
+};
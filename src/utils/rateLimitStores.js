@@ -0,0 +1,185 @@
+import RateLimit from "../models/rateLimitModel.js";
+
+// A rate limit store keeps one record per key and updates it atomically:
+//   consume(key, limit) -> record after counting one attempt
+//   refund(key)         -> give one attempt back
+// Records are { count, windowStart, strikes, lockedUntil }, and limit is
+// { max, windowMs, lockoutMs, maxLockoutMs, retainMs }.
+//
+// An attempt on a locked key changes nothing. Otherwise it is counted in the
+// current window (a new one once windowMs has passed); going over max locks
+// the key, and each further lockout (strike) doubles its length up to
+// maxLockoutMs. Records are kept retainMs after the window or lockout ends.
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const countAttempt = (record, { max, windowMs, lockoutMs, maxLockoutMs }, now) => {
+  if (record.lockedUntil > now) {
+    return record;
+  }
+
+  const next = { ...record };
+  if (now - next.windowStart >= windowMs) {
+    next.count = 0;
+    next.windowStart = now;
+  }
+
+  next.count += 1;
+
+  if (next.count > max) {
+    next.strikes += 1;
+    next.lockedUntil = now + Math.min(lockoutMs * 2 ** (next.strikes - 1), maxLockoutMs);
+    next.count = 0;
+    next.windowStart = now;
+  }
+
+  return next;
+};
+
+const newRecord = (now) => ({ count: 0, windowStart: now, strikes: 0, lockedUntil: 0 });
+
+// Default store, local to the process. Nothing awaits between reading and
+// writing a record, so attempts can't interleave.
+export const createMemoryStore = () => {
+  const records = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, { expiresAt }] of records) {
+      if (expiresAt <= now) {
+        records.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the cleanup
+  sweep.unref();
+
+  return {
+    async consume(key, limit) {
+      const now = Date.now();
+      const entry = records.get(key);
+      const current = entry && entry.expiresAt > now ? entry : null;
+      const record = countAttempt(current ? current.record : newRecord(now), limit, now);
+
+      if (!current || record !== current.record) {
+        records.set(key, {
+          record,
+          expiresAt:
+            now + Math.max(record.lockedUntil - now, limit.windowMs) + limit.retainMs,
+        });
+      }
+      return { ...record };
+    },
+    async refund(key) {
+      const entry = records.get(key);
+      if (entry && entry.expiresAt > Date.now() && entry.record.count > 0) {
+        entry.record = { ...entry.record, count: entry.record.count - 1 };
+      }
+    },
+  };
+};
+
+// Store for deployments with several instances behind a load balancer. Each
+// attempt is a single update pipeline, so parallel requests on other
+// instances can't read the same count and overwrite each other.
+export const createMongoStore = () => ({
+  async consume(key, { max, windowMs, lockoutMs, maxLockoutMs, retainMs }) {
+    const now = Date.now();
+    const nowDate = new Date(now);
+    const notLocked = { $not: ["$_locked"] };
+
+    const record = await RateLimit.collection.findOneAndUpdate(
+      { _id: key },
+      [
+        // New keys, and records the TTL monitor hasn't removed yet, start over
+        { $set: { _fresh: { $not: [{ $gt: ["$expiresAt", nowDate] }] } } },
+        {
+          $set: {
+            count: { $cond: ["$_fresh", 0, "$count"] },
+            windowStart: { $cond: ["$_fresh", now, "$windowStart"] },
+            strikes: { $cond: ["$_fresh", 0, "$strikes"] },
+            lockedUntil: { $cond: ["$_fresh", 0, "$lockedUntil"] },
+          },
+        },
+        {
+          $set: {
+            _locked: { $gt: ["$lockedUntil", now] },
+            _newWindow: { $gte: [{ $subtract: [now, "$windowStart"] }, windowMs] },
+          },
+        },
+        {
+          $set: {
+            count: {
+              $cond: [
+                "$_locked",
+                "$count",
+                { $add: [{ $cond: ["$_newWindow", 0, "$count"] }, 1] },
+              ],
+            },
+            windowStart: {
+              $cond: [{ $and: [notLocked, "$_newWindow"] }, now, "$windowStart"],
+            },
+          },
+        },
+        { $set: { _over: { $and: [notLocked, { $gt: ["$count", max] }] } } },
+        { $set: { strikes: { $cond: ["$_over", { $add: ["$strikes", 1] }, "$strikes"] } } },
+        {
+          $set: {
+            lockedUntil: {
+              $cond: [
+                "$_over",
+                {
+                  $add: [
+                    now,
+                    {
+                      $min: [
+                        {
+                          $multiply: [
+                            lockoutMs,
+                            { $pow: [2, { $subtract: ["$strikes", 1] }] },
+                          ],
+                        },
+                        maxLockoutMs,
+                      ],
+                    },
+                  ],
+                },
+                "$lockedUntil",
+              ],
+            },
+            count: { $cond: ["$_over", 0, "$count"] },
+            windowStart: { $cond: ["$_over", now, "$windowStart"] },
+          },
+        },
+        {
+          $set: {
+            expiresAt: {
+              $cond: [
+                "$_locked",
+                "$expiresAt",
+                {
+                  $add: [
+                    nowDate,
+                    { $max: [{ $subtract: ["$lockedUntil", now] }, windowMs] },
+                    retainMs,
+                  ],
+                },
+              ],
+            },
+          },
+        },
+        { $unset: ["_fresh", "_locked", "_newWindow", "_over"] },
+      ],
+      { upsert: true, returnDocument: "after" }
+    );
+
+    const { count, windowStart, strikes, lockedUntil } = record;
+    return { count, windowStart, strikes, lockedUntil };
+  },
+  async refund(key) {
+    await RateLimit.updateOne(
+      { _id: key, count: { $gt: 0 }, expiresAt: { $gt: new Date() } },
+      { $inc: { count: -1 } }
+    );
+  },
+});
@@ -0,0 +1,14 @@
+import transporter from "../config/nodemailer.js";
+
+// Send an email from the application mailbox
+const sendEmail = async ({ to, subject, text, html }) => {
+  await transporter.sendMail({
+    from: `"TaskPro" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export default sendEmail;
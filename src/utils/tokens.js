@@ -0,0 +1,9 @@
+import crypto from "node:crypto";
+
+// Random URL-safe token suitable for links sent by email
+export const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("hex");
+
+// Only hashes of single-use tokens are stored, never the tokens themselves
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
@@ -0,0 +1,61 @@
+import crypto from "node:crypto";
+import { authenticator } from "otplib";
+import { hashToken } from "./tokens.js";
+
+const ISSUER = "TaskPro";
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the previous and next 30s step to allow for clock drift
+authenticator.options = { window: 1 };
+
+export const generateTwoFactorSecret = (user) => {
+  const secret = authenticator.generateSecret();
+
+  return {
+    secret,
+    otpauthUrl: authenticator.keyuri(user.email, ISSUER, secret),
+  };
+};
+
+export const checkTotp = (code, secret) => {
+  try {
+    return authenticator.check(code, secret);
+  } catch (error) {
+    return false;
+  }
+};
+
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, "").toLowerCase();
+
+// Returns the plain codes (shown to the user once) and their hashes (stored)
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+// Check a TOTP or recovery code for a user with 2FA enabled.
+// A matching recovery code is consumed, so the user document is saved.
+export const verifySecondFactor = async (user, code) => {
+  if (checkTotp(code, user.twoFactor.secret)) {
+    return true;
+  }
+
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+  const index = user.twoFactor.recoveryCodes.indexOf(codeHash);
+
+  if (index === -1) {
+    return false;
+  }
+
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  await user.save();
+
+  return true;
+};
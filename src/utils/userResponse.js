@@ -0,0 +1,10 @@
+// User fields returned by the register and login endpoints
+const userResponse = (user) => ({
+  name: user.name,
+  email: user.email,
+  theme: user.theme,
+  avatarURL: user.avatarURL,
+  verified: user.verified,
+});
+
+export default userResponse;
@@ -0,0 +1,25 @@
+// Roles in a workspace, from the least to the most privileged
+export const WORKSPACE_ROLES = ["member", "admin", "owner"];
+
+// Minimum role needed for each action
+const ACTION_ROLES = {
+  "workspace:read": "member",
+  "boards:create": "member",
+  "workspace:update": "admin",
+  "members:manage": "admin",
+  "workspace:delete": "owner",
+};
+
+// Role of the user in the workspace, or null when they are not a member
+export const getWorkspaceRole = (workspace, userId) => {
+  if (workspace.owner.equals(userId)) {
+    return "owner";
+  }
+
+  const entry = workspace.members.find((item) => item.userId.equals(userId));
+  return entry ? entry.role : null;
+};
+
+export const hasWorkspacePermission = (role, action) =>
+  Boolean(role) &&
+  WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(ACTION_ROLES[action]);